@@ -0,0 +1,730 @@
+// ============================================
+// SILENTIA CALCULATION ENGINE
+// ============================================
+// Pure, DOM-free calculations shared by the calculator page, quoting tools
+// and tests. Loads as a browser global (window.SilentiaEngine) or as a
+// CommonJS module: const { compute } = require('./calculator-engine.js');
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SilentiaEngine = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Product lifespan
+    const SILENTIA_LIFESPAN_YEARS = 10; // Technical lifespan of Silentia screens
+
+    // Break-even sentinel used when Silentia never pays for itself
+    const NO_BREAK_EVEN = 999;
+
+    // Calculation constants (real cost data in euros)
+    const COSTS = {
+        silentiaScreen: 1310, // Cost per Silentia screen (€1310)
+        textileCurtain: 800, // Cost per textile curtain (€800)
+        disposableCurtain: 700, // Cost per disposable curtain (€700)
+
+        // Cleaning costs
+        textileCleaning: 48, // Cost per textile curtain cleaning (6 kg × €8/kg = €48)
+        disposableCleaning: 0, // Disposable gets replaced, not cleaned
+        disposableReplacement: 700, // Cost to replace disposable (€700)
+        silentiaCleaning: 5 // Low cleaning cost for Silentia screens
+    };
+
+    // Environmental impact constants
+    const ENVIRONMENTAL = {
+        textile: {
+            // 1 curtain = 6 kg × 18 MJ/kg = 108 MJ = 30 kWh per wash
+            kWhPerCleaning: 30, // kWh per textile curtain wash
+            // 1 curtain = 6 kg × 18 L/kg = 108 liters per wash
+            waterPerCleaning: 108 // Liters per textile curtain wash
+        },
+        disposable: {
+            // 1 disposable curtain = 2 kg polypropylene waste per replacement
+            plasticPerUnit: 2 // kg of plastic waste per disposable curtain
+        },
+        silentia: {
+            kWhPerCleaning: 0, // No energy used for Silentia cleaning
+            waterPerCleaning: 0, // No water used for Silentia cleaning
+            disinfectantPerCleaning: 0.02, // 0.02 liters disinfectant per screen
+            wipesPerCleaning: 0.015 // 1 cleaning wipe per screen = 0.015 kg
+        }
+    };
+
+    // Indicative grid electricity emission factors (kg CO2e per kWh)
+    const GRID_EMISSION_FACTORS = {
+        SE: 0.045, // Sweden
+        NO: 0.03, // Norway
+        FI: 0.08, // Finland
+        DK: 0.15, // Denmark
+        DE: 0.38, // Germany
+        GB: 0.21, // United Kingdom
+        NL: 0.33, // Netherlands
+        FR: 0.06, // France
+        EU: 0.25 // EU average
+    };
+
+    // Carbon emission factors (kg CO2e)
+    const EMISSIONS = {
+        gridCountry: 'SE', // Selects the grid factor below
+        gridKgPerKWh: GRID_EMISSION_FACTORS.SE, // Per kWh of electricity
+        waterKgPerLiter: 0.0003, // Per liter of water supplied and treated
+        polypropyleneProductionKgPerKg: 1.9, // Per kg of polypropylene produced
+        polypropyleneIncinerationKgPerKg: 2.7, // Per kg of polypropylene incinerated
+        wipesKgPerKg: 2.5, // Per kg of cleaning wipes
+        disinfectantKgPerLiter: 1.2, // Per liter of disinfectant
+        textileCurtainEmbodied: 35, // Manufacturing one textile curtain (6 kg polyester)
+        silentiaScreenEmbodied: 120 // Manufacturing one Silentia screen
+    };
+
+    // Curtain service life; 0 switches a limit off. Off by default, so a
+    // quote only includes replacement purchases once a lifespan is entered.
+    const LIFESPANS = {
+        textileYears: 0, // Textile curtain replaced after this many years...
+        textileWashCycles: 0, // ...or washes, whichever comes first
+        disposableMonths: 0 // Disposable replacement interval; 0 = replaced at every cleaning
+    };
+
+    // Staff time for cleaning, per curtain or screen. Hours are always
+    // reported; they are only costed once an hourly rate is entered.
+    const LABOUR = {
+        minutesPerCurtainChange: 20, // Taking a curtain down and rehanging a clean one
+        staffPerCurtainChange: 1,
+        minutesPerScreenWipe: 3, // Wiping down one Silentia screen
+        staffPerScreenWipe: 1,
+        hourlyRate: 0 // Staff cost per hour (€); 0 leaves labour out of the costs
+    };
+
+    // Financial assumptions, in percent per year
+    const FINANCE = {
+        discountRate: 0, // Discount rate for NPV and discounted payback
+        costInflation: 0, // Yearly rise in laundry, cleaning and labour costs
+        priceEscalation: 0 // Yearly rise in curtain purchase prices
+    };
+
+    // Cleaning frequency multipliers (times per year)
+    const FREQUENCY_MULTIPLIER = {
+        yearly: 1,
+        quarterly: 4,
+        monthly: 12,
+        weekly: 52,
+        daily: 365
+    };
+
+    // Extra cleanings for isolation wards, the lines marked with
+    // `infectionControl`, on top of their schedule. Each discharge and each
+    // outbreak round means every curtain there is changed (or every screen
+    // wiped) once more.
+    const INFECTION_CONTROL = {
+        bedTurnover: 0, // Discharges per isolation bed per year
+        outbreaksPerYear: 0, // Expected outbreak events per year
+        cleaningsPerOutbreak: 0 // Extra cleanings per outbreak event
+    };
+
+    // Default assumption set; callers pass their own copy to compute()
+    const DEFAULT_ASSUMPTIONS = {
+        costs: COSTS,
+        environmental: ENVIRONMENTAL,
+        lifespans: LIFESPANS,
+        labour: LABOUR,
+        finance: FINANCE,
+        emissions: EMISSIONS,
+        infectionControl: INFECTION_CONTROL
+    };
+
+    // ============================================
+    // ASSUMPTION HELPERS
+    // ============================================
+
+    // Reads a value by dotted path, e.g. 'costs.textileCleaning'
+    function readAssumption(assumptions, path) {
+        return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), assumptions);
+    }
+
+    // Writes a value by dotted path, creating intermediate objects as needed
+    function writeAssumption(assumptions, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((obj, key) => {
+            if (obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+            return obj[key];
+        }, assumptions);
+        target[last] = value;
+    }
+
+    // Deep-copies the defaults, taking any override whose type matches.
+    // Unknown keys and mistyped values are dropped, so stored or shared
+    // assumption sets from older versions always resolve to a full set.
+    function mergeAssumptions(defaults, overrides) {
+        const merged = {};
+        Object.keys(defaults).forEach(key => {
+            const base = defaults[key];
+            const value = overrides != null && typeof overrides === 'object' ? overrides[key] : undefined;
+            if (base !== null && typeof base === 'object') {
+                merged[key] = mergeAssumptions(base, value);
+            } else if (typeof value === typeof base &&
+                (typeof value !== 'number' || Number.isFinite(value))) {
+                merged[key] = value;
+            } else {
+                merged[key] = base;
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Returns a complete, independent assumption set.
+     *
+     * @param {object} [overrides] - Partial assumptions layered over the defaults
+     * @returns {object}
+     */
+    function resolveAssumptions(overrides) {
+        return mergeAssumptions(DEFAULT_ASSUMPTIONS, overrides);
+    }
+
+    // ============================================
+    // CURTAIN REPLACEMENT
+    // ============================================
+
+    // Years between scheduled curtain purchases for a line, or 0 when the
+    // line has none. Textile curtains wear out after a number of years or
+    // wash cycles, whichever comes first. Disposables either follow their
+    // own replacement interval or, when that is 0, are swapped at every
+    // cleaning (costed as an operating expense instead).
+    function replacementIntervalYears(line, assumptions, cleaningsPerYear) {
+        const lifespans = assumptions.lifespans;
+
+        if (line.curtainType === 'textile') {
+            const limits = [];
+            if (lifespans.textileYears > 0) limits.push(lifespans.textileYears);
+            if (lifespans.textileWashCycles > 0 && cleaningsPerYear > 0) {
+                limits.push(lifespans.textileWashCycles / cleaningsPerYear);
+            }
+            return limits.length ? Math.min(...limits) : 0;
+        }
+
+        return lifespans.disposableMonths > 0 ? lifespans.disposableMonths / 12 : 0;
+    }
+
+    // Times per year each curtain is taken down and a clean or new one hung:
+    // every wash for textile, every replacement for disposables. Disposables
+    // on their own interval are still swapped at every infection-control
+    // change, which the interval knows nothing about.
+    function curtainChangesPerYear(line, assumptions, cleaningsPerYear, extraCleanings) {
+        if (line.curtainType === 'textile') return cleaningsPerYear;
+        const intervalYears = replacementIntervalYears(line, assumptions, cleaningsPerYear);
+        return intervalYears > 0 ? 1 / intervalYears + extraCleanings : cleaningsPerYear;
+    }
+
+    // Purchases made strictly before `years`; the first set is the initial
+    // investment, so a curtain bought as the period ends is not counted
+    function replacementsBefore(intervalYears, years) {
+        if (!(intervalYears > 0) || years <= 0) return 0;
+        return Math.max(0, Math.ceil(years / intervalYears - 1e-9) - 1);
+    }
+
+    // ============================================
+    // CLEANING FREQUENCY
+    // ============================================
+
+    // Scheduled cleanings per year for a line: a named frequency, or the
+    // line's own cleaningsPerYear when the frequency is 'custom'
+    function scheduledCleanings(line) {
+        if (line.cleaningFrequency === 'custom') {
+            const custom = Number(line.cleaningsPerYear);
+            return Number.isFinite(custom) && custom > 0 ? custom : 0;
+        }
+        return FREQUENCY_MULTIPLIER[line.cleaningFrequency] || 0;
+    }
+
+    // Discharge-triggered changes plus extra rounds during outbreaks, per
+    // curtain per year, for an isolation ward
+    function infectionControlCleanings(assumptions) {
+        const infection = assumptions.infectionControl;
+        if (!infection) return 0;
+        return infection.bedTurnover + infection.outbreaksPerYear * infection.cleaningsPerOutbreak;
+    }
+
+    // ============================================
+    // LABOUR CALCULATION
+    // ============================================
+
+    // Staff hours per year spent changing curtains or wiping down screens
+    function calculateLabour(line, assumptions, cleaningsPerYear, extraCleanings) {
+        const qty = line.quantity;
+        const labour = assumptions.labour;
+
+        const curtainHours = qty * curtainChangesPerYear(line, assumptions, cleaningsPerYear, extraCleanings) *
+            labour.minutesPerCurtainChange * labour.staffPerCurtainChange / 60;
+        const silentiaHours = qty * cleaningsPerYear *
+            labour.minutesPerScreenWipe * labour.staffPerScreenWipe / 60;
+
+        return {
+            curtainHours: curtainHours,
+            silentiaHours: silentiaHours,
+            savedHours: curtainHours - silentiaHours
+        };
+    }
+
+    // ============================================
+    // COST CALCULATION
+    // ============================================
+
+    function calculateCosts(line, assumptions, cleaningsPerYear, extraCleanings, labour) {
+        const qty = line.quantity;
+        const costs = assumptions.costs;
+        const intervalYears = replacementIntervalYears(line, assumptions, cleaningsPerYear);
+        const unitPrice = line.curtainType === 'textile' ? costs.textileCurtain : costs.disposableReplacement;
+
+        // Initial investment
+        const silentiaInitial = qty * costs.silentiaScreen;
+        const curtainInitial = qty * (line.curtainType === 'textile' ?
+            costs.textileCurtain : costs.disposableCurtain);
+
+        // Staff time, priced at the hourly rate
+        const silentiaLabourAnnual = labour.silentiaHours * assumptions.labour.hourlyRate;
+        const curtainLabourAnnual = labour.curtainHours * assumptions.labour.hourlyRate;
+
+        // Annual operating costs
+        const silentiaAnnual = qty * costs.silentiaCleaning * cleaningsPerYear + silentiaLabourAnnual;
+        let curtainOperatingAnnual;
+
+        if (line.curtainType === 'textile') {
+            curtainOperatingAnnual = qty * costs.textileCleaning * cleaningsPerYear;
+        } else if (intervalYears > 0) {
+            // Disposable on its own replacement schedule, cleaned in between
+            // and replaced at every infection-control change
+            curtainOperatingAnnual = qty * (costs.disposableCleaning * (cleaningsPerYear - extraCleanings) +
+                costs.disposableReplacement * extraCleanings);
+        } else {
+            // Disposable: replaced each cleaning
+            curtainOperatingAnnual = qty * costs.disposableReplacement * cleaningsPerYear;
+        }
+        curtainOperatingAnnual += curtainLabourAnnual;
+
+        // Scheduled purchases of a full set of replacement curtains
+        const replacements = intervalYears > 0 ?
+            [{ intervalYears: intervalYears, cost: qty * unitPrice }] : [];
+        const curtainReplacementAnnual = intervalYears > 0 ? (qty * unitPrice) / intervalYears : 0;
+        const curtainAnnual = curtainOperatingAnnual + curtainReplacementAnnual;
+
+        const costsResult = {
+            silentiaInitial: silentiaInitial,
+            curtainInitial: curtainInitial,
+            silentiaAnnual: silentiaAnnual,
+            silentiaLabourAnnual: silentiaLabourAnnual,
+            curtainLabourAnnual: curtainLabourAnnual,
+            curtainOperatingAnnual: curtainOperatingAnnual,
+            curtainReplacementAnnual: curtainReplacementAnnual,
+            curtainAnnual: curtainAnnual,
+            replacements: replacements,
+            initialDifference: silentiaInitial - curtainInitial,
+            annualSavings: curtainAnnual - silentiaAnnual
+        };
+        return withLifespanTotals(costsResult);
+    }
+
+    // Totals over the Silentia lifespan, counting each replacement purchase
+    function withLifespanTotals(costs) {
+        const totals = cumulativeCosts(costs, SILENTIA_LIFESPAN_YEARS);
+        costs.silentiaTotal = totals.silentia;
+        costs.curtainTotal = totals.curtain;
+        costs.lifespanSavings = totals.curtain - totals.silentia;
+        return costs;
+    }
+
+    // Cumulative spend on each option after `years`
+    function cumulativeCosts(costs, years) {
+        const replacementSpend = costs.replacements.reduce((sum, r) =>
+            sum + r.cost * replacementsBefore(r.intervalYears, years), 0);
+        return {
+            silentia: costs.silentiaInitial + costs.silentiaAnnual * years,
+            curtain: costs.curtainInitial + costs.curtainOperatingAnnual * years + replacementSpend
+        };
+    }
+
+    // ============================================
+    // ROI CALCULATION
+    // ============================================
+
+    // How far ahead to look for a break-even before giving up
+    const BREAK_EVEN_SEARCH_YEARS = 100;
+
+    // First replacement purchase after `years`, or the end of the search
+    function nextPurchase(replacements, years) {
+        return replacements.reduce((next, r) =>
+            Math.min(next, (Math.floor(years / r.intervalYears + 1e-9) + 1) * r.intervalYears),
+        BREAK_EVEN_SEARCH_YEARS);
+    }
+
+    function calculateBreakEven(costs) {
+        // Between replacement purchases both cumulative costs are straight lines:
+        // Total cost Silentia: silentiaInitial + silentiaAnnual × years
+        // Total cost Curtain: curtainInitial + curtainOperatingAnnual × years + replacements so far
+        // Within each stretch, break even when the gap closes:
+        // years = start + (Silentia - Curtain at start) / (curtainOperatingAnnual - silentiaAnnual)
+        //
+        // Purchases never run ahead of their average rate, so the gap closes
+        // no faster than `closingRate`; the search starts where that rate
+        // would first close it rather than walking every purchase from year 0.
+
+        const slope = costs.curtainOperatingAnnual - costs.silentiaAnnual;
+        const closingRate = costs.replacements.reduce((sum, r) => sum + r.cost / r.intervalYears, slope);
+        const initialGap = costs.initialDifference;
+
+        if (closingRate <= 0) {
+            // Silentia is more expensive to operate: whatever it saves up
+            // front, the gap only widens from there
+            return { years: NO_BREAK_EVEN, valid: false };
+        }
+
+        let breakEvenYears = null;
+        let start = initialGap <= 0 ? 0 : initialGap / closingRate;
+        while (start < BREAK_EVEN_SEARCH_YEARS && breakEvenYears === null) {
+            // Just after `start`, so a purchase made at `start` is included
+            const atStart = cumulativeCosts(costs, start + 1e-6);
+            const gap = (atStart.silentia - atStart.curtain) + slope * 1e-6;
+            const end = nextPurchase(costs.replacements, start);
+            if (gap <= 0) {
+                breakEvenYears = start;
+            } else if (slope > 0 && start + gap / slope <= end) {
+                breakEvenYears = start + gap / slope;
+            }
+            start = end;
+        }
+
+        if (breakEvenYears === null) {
+            // Not recovered within the search
+            return { years: NO_BREAK_EVEN, valid: false };
+        }
+
+        return {
+            years: Math.max(0, breakEvenYears),
+            valid: true,
+            savings: costs.annualSavings,
+            initialDiff: costs.initialDifference
+        };
+    }
+
+    // ============================================
+    // CUMULATIVE COST TIMELINE
+    // ============================================
+
+    // Cumulative spend at the end of each year, from purchase (year 0)
+    // to the end of the Silentia lifespan
+    function calculateTimeline(costs) {
+        const timeline = [];
+        for (let year = 0; year <= SILENTIA_LIFESPAN_YEARS; year++) {
+            const totals = cumulativeCosts(costs, year);
+            timeline.push({ year: year, silentia: totals.silentia, curtain: totals.curtain });
+        }
+        return timeline;
+    }
+
+    // ============================================
+    // ENVIRONMENTAL IMPACT CALCULATION
+    // ============================================
+
+    // Every line reports the same fields so lines can be summed; figures
+    // that don't apply to the curtain type are zero
+    function calculateResources(line, assumptions, cleaningsPerYear, extraCleanings) {
+        const qty = line.quantity;
+        const env = assumptions.environmental;
+
+        const silentiaKWh = qty * env.silentia.kWhPerCleaning * cleaningsPerYear;
+        const silentiaWater = qty * env.silentia.waterPerCleaning * cleaningsPerYear;
+        const silentiaDisinfectant = qty * env.silentia.disinfectantPerCleaning * cleaningsPerYear;
+        const silentiaWipes = qty * env.silentia.wipesPerCleaning * cleaningsPerYear;
+
+        let curtainKWh = 0;
+        let curtainWater = 0;
+        let plasticWaste = 0;
+
+        if (line.curtainType === 'textile') {
+            // Textile curtains: kWh and water
+            curtainKWh = qty * env.textile.kWhPerCleaning * cleaningsPerYear;
+            curtainWater = qty * env.textile.waterPerCleaning * cleaningsPerYear;
+        } else {
+            // Disposable curtains: plastic waste from every replacement
+            plasticWaste = qty * env.disposable.plasticPerUnit *
+                curtainChangesPerYear(line, assumptions, cleaningsPerYear, extraCleanings);
+        }
+
+        return {
+            type: line.curtainType,
+            curtainKWh: curtainKWh,
+            curtainWater: curtainWater,
+            plasticWaste: plasticWaste,
+            silentiaKWh: silentiaKWh,
+            silentiaWater: silentiaWater,
+            silentiaDisinfectant: silentiaDisinfectant,
+            silentiaWipes: silentiaWipes,
+            savedKWh: curtainKWh - silentiaKWh,
+            savedWater: curtainWater - silentiaWater,
+            savedPlastic: plasticWaste // Silentia produces no plastic waste
+        };
+    }
+
+    // ============================================
+    // CARBON FOOTPRINT
+    // ============================================
+
+    // Annual CO2e from the resources each option consumes, plus the one-off
+    // footprint of manufacturing the curtains or screens bought up front.
+    // Textile replacements are spread over their service life.
+    function calculateCarbon(line, assumptions, cleaningsPerYear, resources) {
+        const qty = line.quantity;
+        const factors = assumptions.emissions;
+        const plasticKgPerKg = factors.polypropyleneProductionKgPerKg + factors.polypropyleneIncinerationKgPerKg;
+
+        let curtainEmbodied;
+        let curtainReplacementAnnual = 0;
+        if (line.curtainType === 'textile') {
+            curtainEmbodied = qty * factors.textileCurtainEmbodied;
+            const intervalYears = replacementIntervalYears(line, assumptions, cleaningsPerYear);
+            if (intervalYears > 0) curtainReplacementAnnual = curtainEmbodied / intervalYears;
+        } else {
+            curtainEmbodied = qty * assumptions.environmental.disposable.plasticPerUnit *
+                factors.polypropyleneProductionKgPerKg;
+        }
+
+        const curtainAnnual = resources.curtainKWh * factors.gridKgPerKWh +
+            resources.curtainWater * factors.waterKgPerLiter +
+            resources.plasticWaste * plasticKgPerKg +
+            curtainReplacementAnnual;
+        const silentiaAnnual = resources.silentiaKWh * factors.gridKgPerKWh +
+            resources.silentiaWater * factors.waterKgPerLiter +
+            resources.silentiaWipes * factors.wipesKgPerKg +
+            resources.silentiaDisinfectant * factors.disinfectantKgPerLiter;
+        const silentiaEmbodied = qty * factors.silentiaScreenEmbodied;
+
+        const curtainLifespan = curtainEmbodied + curtainAnnual * SILENTIA_LIFESPAN_YEARS;
+        const silentiaLifespan = silentiaEmbodied + silentiaAnnual * SILENTIA_LIFESPAN_YEARS;
+
+        return {
+            curtainAnnual: curtainAnnual,
+            silentiaAnnual: silentiaAnnual,
+            curtainEmbodied: curtainEmbodied,
+            silentiaEmbodied: silentiaEmbodied,
+            curtainLifespan: curtainLifespan,
+            silentiaLifespan: silentiaLifespan,
+            annualReduction: curtainAnnual - silentiaAnnual,
+            lifespanReduction: curtainLifespan - silentiaLifespan
+        };
+    }
+
+    // ============================================
+    // FACILITY TOTALS
+    // ============================================
+
+    // A scenario is either one line ({curtainType, cleaningFrequency, quantity})
+    // or a mixed fleet ({lines: [...]}), one line per ward or curtain type
+    function scenarioLines(scenario) {
+        const lines = Array.isArray(scenario.lines) ? scenario.lines : [scenario];
+        return lines.filter(line => line && line.quantity > 0);
+    }
+
+    // 'textile' or 'disposable' when every line agrees, otherwise 'mixed'
+    function combinedType(lines) {
+        const types = lines.map(line => line.curtainType);
+        return types.every(type => type === types[0]) ? types[0] : 'mixed';
+    }
+
+    // Adds up numeric fields across objects of the same shape
+    function sumFields(items) {
+        const total = {};
+        items.forEach(item => {
+            Object.keys(item).forEach(key => {
+                if (typeof item[key] === 'number') total[key] = (total[key] || 0) + item[key];
+            });
+        });
+        return total;
+    }
+
+    // ============================================
+    // DISCOUNTED CASH FLOW
+    // ============================================
+
+    // Yearly savings from choosing Silentia: year 0 is the extra up-front
+    // spend (negative), later years the avoided curtain spend. Operating
+    // costs rise with costInflation and replacement purchases with
+    // priceEscalation; year 1 is priced at today's figures.
+    function savingsCashFlows(costs, finance, years) {
+        const inflation = finance.costInflation / 100;
+        const escalation = finance.priceEscalation / 100;
+        const flows = [-costs.initialDifference];
+
+        for (let year = 1; year <= years; year++) {
+            const operating = (costs.curtainOperatingAnnual - costs.silentiaAnnual) *
+                Math.pow(1 + inflation, year - 1);
+            const purchases = costs.replacements.reduce((sum, r) => sum + r.cost *
+                (replacementsBefore(r.intervalYears, year) - replacementsBefore(r.intervalYears, year - 1)), 0);
+            flows.push(operating + purchases * Math.pow(1 + escalation, year - 1));
+        }
+        return flows;
+    }
+
+    function netPresentValue(flows, rate) {
+        return flows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+    }
+
+    // Rate at which the savings' NPV is zero, by bisection; null without an
+    // up-front premium to earn a return on, or when the flows never change sign
+    function internalRateOfReturn(flows) {
+        if (flows[0] >= 0) return null;
+        let low = -0.99;
+        let high = 10;
+        if (netPresentValue(flows, low) * netPresentValue(flows, high) > 0) return null;
+
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (netPresentValue(flows, low) * netPresentValue(flows, mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    // Years until the discounted savings cover the up-front premium,
+    // interpolating within the year in which they do. Savings that end
+    // below zero never pay back, however they start.
+    function discountedPayback(flows, rate) {
+        if (netPresentValue(flows, rate) < 0) return { years: NO_BREAK_EVEN, valid: false };
+
+        let cumulative = flows[0];
+        if (cumulative >= 0) return { years: 0, valid: true };
+
+        for (let year = 1; year < flows.length; year++) {
+            const discounted = flows[year] / Math.pow(1 + rate, year);
+            if (cumulative + discounted >= 0) {
+                return { years: year - 1 + (-cumulative / discounted), valid: true };
+            }
+            cumulative += discounted;
+        }
+        return { years: NO_BREAK_EVEN, valid: false };
+    }
+
+    function calculateFinance(costs, finance) {
+        const rate = finance.discountRate / 100;
+        const lifespanFlows = savingsCashFlows(costs, finance, SILENTIA_LIFESPAN_YEARS);
+        const npv = netPresentValue(lifespanFlows, rate);
+        let discounted = 0;
+
+        return {
+            discountRate: finance.discountRate,
+            cashFlows: lifespanFlows.map((flow, year) => {
+                const present = flow / Math.pow(1 + rate, year);
+                discounted += present;
+                return { year: year, savings: flow, discounted: present, cumulativeDiscounted: discounted };
+            }),
+            npv: npv,
+            // A loss at the discount rate has no return worth quoting
+            irr: npv < 0 ? null : internalRateOfReturn(lifespanFlows),
+            discountedPayback: discountedPayback(
+                savingsCashFlows(costs, finance, BREAK_EVEN_SEARCH_YEARS), rate)
+        };
+    }
+
+    // ============================================
+    // PUBLIC ENTRY POINT
+    // ============================================
+
+    /**
+     * Computes every figure the calculator shows for one scenario.
+     *
+     * Lines are costed independently and summed into one facility-wide case;
+     * each line's own costs, break-even and resources are kept in `lines`.
+     *
+     * @param {object} scenario - {curtainType, cleaningFrequency, quantity} or {lines: [...]} of those;
+     *     a 'custom' cleaningFrequency takes its count from the line's cleaningsPerYear, and
+     *     infection-control cleanings apply to isolation wards, lines with infectionControl: true
+     * @param {object} [assumptions] - Cost and environmental figures, defaults to DEFAULT_ASSUMPTIONS
+     * @returns {{valid: boolean, lines: Array<object>, costs: ?object, roi: object, timeline: Array<object>, finance: ?object, labour: ?object, resources: ?object, carbon: ?object}}
+     */
+    function compute(scenario, assumptions) {
+        assumptions = assumptions || DEFAULT_ASSUMPTIONS;
+        const lines = scenarioLines(scenario);
+
+        const result = {
+            valid: false,
+            curtainType: lines.length ? combinedType(lines) : scenario.curtainType,
+            quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+            lifespanYears: SILENTIA_LIFESPAN_YEARS,
+            lines: [],
+            costs: null,
+            roi: { years: 0, valid: false },
+            timeline: [],
+            finance: null,
+            labour: null,
+            resources: null,
+            carbon: null
+        };
+
+        if (!lines.length) {
+            return result;
+        }
+
+        result.lines = lines.map(line => {
+            const scheduled = scheduledCleanings(line);
+            const extra = line.infectionControl ? infectionControlCleanings(assumptions) : 0;
+            const cleaningsPerYear = scheduled + extra;
+            const labour = calculateLabour(line, assumptions, cleaningsPerYear, extra);
+            const costs = calculateCosts(line, assumptions, cleaningsPerYear, extra, labour);
+            const resources = calculateResources(line, assumptions, cleaningsPerYear, extra);
+            return {
+                name: line.name || '',
+                curtainType: line.curtainType,
+                cleaningFrequency: line.cleaningFrequency,
+                quantity: line.quantity,
+                infectionControl: Boolean(line.infectionControl),
+                cleaningsPerYear: cleaningsPerYear,
+                scheduledCleanings: scheduled,
+                infectionControlCleanings: extra,
+                replacementIntervalYears: replacementIntervalYears(line, assumptions, cleaningsPerYear),
+                costs: costs,
+                roi: calculateBreakEven(costs),
+                labour: labour,
+                resources: resources,
+                carbon: calculateCarbon(line, assumptions, cleaningsPerYear, resources)
+            };
+        });
+
+        result.valid = true;
+        result.costs = sumFields(result.lines.map(line => line.costs));
+        result.costs.replacements = [].concat(...result.lines.map(line => line.costs.replacements));
+        result.roi = calculateBreakEven(result.costs);
+        result.timeline = calculateTimeline(result.costs);
+        result.finance = calculateFinance(result.costs, assumptions.finance);
+        result.labour = sumFields(result.lines.map(line => line.labour));
+        result.resources = sumFields(result.lines.map(line => line.resources));
+        result.resources.type = result.curtainType;
+        result.carbon = sumFields(result.lines.map(line => line.carbon));
+        result.carbon.lifespanReductionPct = result.carbon.curtainLifespan > 0 ?
+            (result.carbon.lifespanReduction / result.carbon.curtainLifespan) * 100 : 0;
+        return result;
+    }
+
+    return {
+        SILENTIA_LIFESPAN_YEARS: SILENTIA_LIFESPAN_YEARS,
+        NO_BREAK_EVEN: NO_BREAK_EVEN,
+        COSTS: COSTS,
+        ENVIRONMENTAL: ENVIRONMENTAL,
+        LIFESPANS: LIFESPANS,
+        LABOUR: LABOUR,
+        FINANCE: FINANCE,
+        EMISSIONS: EMISSIONS,
+        INFECTION_CONTROL: INFECTION_CONTROL,
+        GRID_EMISSION_FACTORS: GRID_EMISSION_FACTORS,
+        FREQUENCY_MULTIPLIER: FREQUENCY_MULTIPLIER,
+        DEFAULT_ASSUMPTIONS: DEFAULT_ASSUMPTIONS,
+        readAssumption: readAssumption,
+        writeAssumption: writeAssumption,
+        resolveAssumptions: resolveAssumptions,
+        infectionControlCleanings: infectionControlCleanings,
+        compute: compute
+    };
+}));
@@ -0,0 +1,932 @@
+// ============================================
+// SILENTIA CALCULATOR TRANSLATIONS
+// ============================================
+// Translation catalogue, languages and currencies. Loads as a browser
+// global (window.SilentiaI18n) or as a CommonJS module, like the engine.
+// Strings may contain {placeholders}; plural entries hold one form per
+// Intl.PluralRules category.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SilentiaI18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Supported languages and the locale used to format their numbers
+    const LANGUAGES = {
+        en: { name: 'English', locale: 'en-GB' },
+        sv: { name: 'Svenska', locale: 'sv-SE' },
+        de: { name: 'Deutsch', locale: 'de-DE' }
+    };
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Display currencies with default exchange rates (units per 1 EUR).
+    // The engine always calculates in euros; figures are converted for display.
+    const CURRENCIES = {
+        EUR: 1,
+        SEK: 11.2,
+        GBP: 0.85,
+        USD: 1.08
+    };
+
+    const DEFAULT_CURRENCY = 'EUR';
+
+    const CATALOGUE = {
+        en: {
+            'app.title': 'Silentia Calculator',
+            'app.heading': 'Hospital curtains vs Silentia screens',
+            'settings.language': 'Language',
+            'settings.currency': 'Currency',
+            'settings.rate': '{currency} per EUR',
+
+            'section.curtainType': 'Curtain type',
+            'section.cleaning': 'Cleaning',
+            'section.quantity': 'Quantity of curtains vs screens',
+            'section.wards': 'Wards',
+            'section.resources': 'Resources',
+            'section.labour': 'Staff time',
+            'section.breakdown': 'Breakdown by ward',
+            'section.chart': 'Cost over time',
+            'section.assumptions': 'Assumptions',
+
+            'type.textile': 'Textile',
+            'type.disposable': 'Disposable',
+            'type.mixed': 'Mixed',
+            'frequency.yearly': 'Yearly',
+            'frequency.quarterly': 'Quarterly',
+            'frequency.monthly': 'Monthly',
+            'frequency.weekly': 'Weekly',
+            'frequency.daily': 'Daily',
+            'frequency.custom': 'Custom',
+            'frequency.customCount': 'Custom ({count}/year)',
+            'frequency.customLabel': 'Cleanings per year',
+
+            'quantity.placeholder': 'Enter number',
+            'quantity.short': 'Qty',
+            'popup.quantity.1': 'Enter the number of curtains or screens in your facility.',
+            'popup.quantity.2': 'This is used to calculate the total cost and environmental impact for both options.',
+
+            'wards.add': '+ Add ward',
+            'wards.name': 'Ward name',
+            'wards.defaultName': 'Ward {number}',
+            'wards.remove': 'Remove {name}',
+            'wards.infection': 'Isolation ward',
+            'wards.infectionHint': '{count} extra changes per curtain and year, after discharges and outbreaks',
+            'line.main': 'Main',
+            'popup.wards.1': 'Add a line for each ward or department that uses a different curtain type or cleaning schedule, for example disposables in isolation rooms.',
+            'popup.wards.2': 'The selection above is the main line. All lines are combined into one facility-wide result.',
+
+            'roi.label': 'Return on investment',
+            'roi.unit.year': { one: 'YEAR', other: 'YEARS' },
+            'roi.unit.month': { one: 'MONTH', other: 'MONTHS' },
+            'roi.unit.week': { one: 'WEEK', other: 'WEEKS' },
+            'roi.unit.day': { one: 'DAY', other: 'DAYS' },
+            'roi.na': 'N/A',
+            'payback.simple': 'Simple payback',
+            'payback.discounted': 'Discounted',
+            'payback.mode': 'Payback method',
+            'payback.years': '{years} yrs',
+            'popup.roi.1': 'ROI shows how quickly Silentia screens pay for themselves compared to curtains.',
+            'popup.roi.2': 'It calculates the break-even point where the higher initial cost of Silentia is offset by lower ongoing cleaning/replacement costs.',
+            'popup.roi.3': '<strong>Formula:</strong> (Silentia cost - Curtain cost) &divide; (Annual curtain cost - Annual Silentia cost)',
+            'popup.roi.4': '<strong>Discounted payback</strong> applies the discount rate, cost inflation and price escalation from Assumptions. NPV and IRR are calculated on the savings over the Silentia lifespan.',
+            'popup.roi.5': 'Worn-out curtains are repurchased when they reach their lifespan in years or wash cycles, and disposables on their replacement interval. Those purchases count towards the curtain side.',
+
+            'finance.npv': 'NPV of savings',
+            'finance.npvAt': 'NPV of savings at {rate}%',
+            'finance.irr': 'IRR',
+            'finance.simple': 'Simple payback',
+            'finance.discounted': 'Discounted payback',
+
+            'results.empty': 'Enter quantity to calculate',
+            'resource.kWh': 'kWh',
+            'resource.water': 'L waste water',
+            'resource.plastic': 'kg plastic',
+            'resource.wipes': 'kg wipes',
+            'resource.disinfectant': 'L disinfectant',
+            'popup.resources.1': 'Shows the annual resource consumption for each option based on your selected quantity and cleaning frequency.',
+            'popup.resources.2': '<strong>Textile curtains:</strong> Energy (kWh) and water used per wash cycle.',
+            'popup.resources.3': '<strong>Disposable curtains:</strong> Plastic waste generated per replacement.',
+            'popup.resources.4': '<strong>Silentia screens:</strong> Only disinfectant and cleaning wipes needed.',
+            'popup.resources.5': '<strong>CO2e:</strong> Energy, water, plastic, wipes and disinfectant converted with the emission factors under Assumptions. Lifespan totals include manufacturing the curtains and the Silentia screens themselves.',
+
+            'carbon.heading': 'CO2e',
+            'carbon.perYear': 'Per year',
+            'carbon.lifespan': '{years} years, incl. manufacture',
+            'carbon.less': '<strong>{mass} CO2e</strong> less over {years} years ({percent}%)',
+            'carbon.more': '<strong>{mass} CO2e</strong> more over {years} years',
+
+            'labour.hoursPerYear': 'hours/year',
+            'labour.saved': '<strong>{hours} hours</strong> of staff time saved per year ({cost})',
+            'labour.savedUnpriced': '<strong>{hours} hours</strong> of staff time saved per year (enter an hourly rate under Assumptions to cost it)',
+            'popup.labour.1': 'Staff hours per year spent taking curtains down and rehanging them, compared with wiping down Silentia screens.',
+            'popup.labour.2': 'Minutes and staff per task and the hourly rate are set under Assumptions. The labour cost is included in the ROI.',
+
+            'breakdown.line': 'Line',
+            'breakdown.curtains': 'Curtains',
+            'breakdown.savedPerYear': 'Saved/yr',
+            'breakdown.roi': 'ROI',
+            'breakdown.total': 'Facility total',
+
+            'chart.empty': 'Enter quantity to see chart',
+            'chart.year': 'Year',
+            'chart.yearNumber': 'Year {year}',
+            'chart.breakEven': 'Break-even {date}',
+            'chart.noBreakEven': 'No break-even within {years} years',
+            'chart.initial': 'Initial Investment',
+            'chart.annual': 'Average Annual Cost',
+            'chart.total': '{years}-Year Total Cost',
+            'chart.legend.textile': 'Textile Curtain',
+            'chart.legend.disposable': 'Disposable Curtain',
+            'chart.legend.mixed': 'Mixed Curtains',
+            'a11y.moreInfo': 'More information',
+            'a11y.bars': '{title}: Silentia {silentia}, {curtain} {curtainValue}',
+            'a11y.timeline': 'Cumulative cost over {years} years: Silentia {silentia}, {curtain} {curtainValue}. {breakEven}',
+            'a11y.resources': '{label} per year: {figures}',
+            'a11y.labour': '{label}: {hours} staff hours per year',
+            'a11y.announce': 'Return on investment: {roi}. Average annual savings: {savings}.',
+            'a11y.announceResources': 'Per year Silentia saves {energy} kWh, {water} L of water and {plastic} kg of plastic.',
+            'popup.chart.1': 'Cumulative spend for each option, from purchase to the end of the Silentia lifespan.',
+            'popup.chart.2': 'Where the lines cross, Silentia has paid for itself. Hover a year to see its figures.',
+
+            'section.sensitivity': 'Sensitivity',
+            'sensitivity.intro': 'Each cost and environmental assumption is moved down and up in turn while everything else stays the same. The longest bars are the figures that matter most.',
+            'sensitivity.gridIntro': 'Break-even for every combination of two inputs, around the current figures. For a single line, payback doesn\'t depend on quantity.',
+            'sensitivity.range': 'Vary by ±',
+            'sensitivity.metric': 'Rank by',
+            'sensitivity.carbon': 'CO2e saved',
+            'sensitivity.base': 'Current: {value}',
+            'sensitivity.lower': '−{percent}%',
+            'sensitivity.higher': '+{percent}%',
+            'sensitivity.grid': 'Payback grid',
+            'sensitivity.rows': 'Rows',
+            'sensitivity.columns': 'Columns',
+
+            'section.compare': 'Compare scenarios',
+            'popup.compare.1': 'Save the current inputs and assumptions as a scenario, then change them and save again to compare options side by side.',
+            'popup.compare.2': 'The best figure in each row is highlighted. Load a scenario to carry on editing it.',
+            'compare.namePlaceholder': 'Scenario name, e.g. Weekly textile',
+            'compare.save': 'Save scenario',
+            'compare.defaultName': 'Scenario {number}',
+            'compare.empty': 'No saved scenarios yet',
+            'compare.load': 'Load',
+            'compare.units': 'units',
+            'compare.silentiaTotal': 'Silentia, {years} years',
+            'compare.curtainTotal': 'Curtains, {years} years',
+            'compare.energySaved': 'Energy saved/yr',
+            'compare.waterSaved': 'Water saved/yr',
+            'compare.plasticSaved': 'Plastic avoided/yr',
+            'compare.bestNote': 'Best in each row highlighted.',
+            'compare.notes': 'Notes',
+            'compare.notesPlaceholder': 'Visit notes, contacts, next steps',
+            'offline.status': 'Offline: calculations and saved scenarios still work',
+            'update.available': 'A new version of the calculator is available.',
+            'update.reload': 'Reload',
+
+            'section.inventory': 'Facility inventory',
+            'popup.inventory.1': 'Import a CSV or JSON list of curtains with the columns site, ward, curtain type, count and cleaning frequency.',
+            'popup.inventory.2': 'Every row is calculated with the current assumptions, then totalled per site and for the whole group. Export the results as CSV or JSON.',
+            'inventory.import': 'Import CSV / JSON',
+            'inventory.exportCSV': 'Export CSV',
+            'inventory.exportJSON': 'Export JSON',
+            'inventory.clear': 'Clear',
+            'inventory.site': 'Site',
+            'inventory.carbon': 'CO2e saved',
+            'inventory.total': 'Group total',
+            'inventory.imported': '{rows} rows imported, {skipped} skipped',
+            'inventory.error.line': 'Row {row}: {reason}',
+            'inventory.error.site': 'missing site',
+            'inventory.error.type': 'unknown curtain type "{value}"',
+            'inventory.error.frequency': 'unknown cleaning frequency "{value}"',
+            'inventory.error.count': 'count "{value}" must be a whole number from 0 to 100,000',
+            'inventory.error.empty': 'No rows found in the file',
+            'inventory.error.file': 'Could not read {value}',
+
+            'preset.default': 'Default assumptions',
+            'preset.label': 'Assumption preset',
+            'preset.delete': 'Delete',
+            'preset.namePlaceholder': 'Preset name, e.g. Sweden public tender 2026',
+            'preset.save': 'Save preset',
+            'assumptions.reset': 'Reset to defaults',
+
+            'group.costs': 'Costs',
+            'group.environment': 'Environment',
+            'group.lifespans': 'Curtain lifespan',
+            'group.labour': 'Labour',
+            'group.infection': 'Infection control',
+            'group.finance': 'Finance',
+            'group.emissions': 'Emissions (kg CO2e)',
+
+            'field.costs.silentiaScreen': 'Silentia screen',
+            'field.costs.textileCurtain': 'Textile curtain',
+            'field.costs.disposableCurtain': 'Disposable curtain',
+            'field.costs.textileCleaning': 'Textile laundering',
+            'field.costs.disposableReplacement': 'Disposable replacement',
+            'field.costs.silentiaCleaning': 'Silentia cleaning',
+            'field.environmental.textile.kWhPerCleaning': 'Textile wash energy',
+            'field.environmental.textile.waterPerCleaning': 'Textile wash water',
+            'field.environmental.disposable.plasticPerUnit': 'Disposable polypropylene',
+            'field.environmental.silentia.kWhPerCleaning': 'Silentia cleaning energy',
+            'field.environmental.silentia.waterPerCleaning': 'Silentia cleaning water',
+            'field.environmental.silentia.disinfectantPerCleaning': 'Silentia disinfectant',
+            'field.environmental.silentia.wipesPerCleaning': 'Silentia wipes',
+            'field.lifespans.textileYears': 'Textile curtain life',
+            'field.lifespans.textileWashCycles': 'Textile wash cycles',
+            'field.lifespans.disposableMonths': 'Disposable replacement',
+            'field.labour.minutesPerCurtainChange': 'Curtain change',
+            'field.labour.staffPerCurtainChange': 'Staff per curtain change',
+            'field.labour.minutesPerScreenWipe': 'Screen wipe-down',
+            'field.labour.staffPerScreenWipe': 'Staff per wipe-down',
+            'field.labour.hourlyRate': 'Staff hourly rate',
+            'field.infectionControl.bedTurnover': 'Bed turnover',
+            'field.infectionControl.outbreaksPerYear': 'Outbreaks',
+            'field.infectionControl.cleaningsPerOutbreak': 'Extra cleanings per outbreak',
+            'field.finance.discountRate': 'Discount rate',
+            'field.finance.costInflation': 'Laundry & labour inflation',
+            'field.finance.priceEscalation': 'Curtain price escalation',
+            'field.emissions.gridCountry': 'Electricity grid',
+            'field.emissions.gridKgPerKWh': 'Grid electricity',
+            'field.emissions.waterKgPerLiter': 'Water supply & treatment',
+            'field.emissions.polypropyleneProductionKgPerKg': 'Polypropylene production',
+            'field.emissions.polypropyleneIncinerationKgPerKg': 'Polypropylene incineration',
+            'field.emissions.wipesKgPerKg': 'Cleaning wipes',
+            'field.emissions.disinfectantKgPerLiter': 'Disinfectant',
+            'field.emissions.textileCurtainEmbodied': 'Textile curtain manufacture',
+            'field.emissions.silentiaScreenEmbodied': 'Silentia screen manufacture',
+
+            'hint.costs.textileCleaning': '6 kg × €8/kg',
+            'hint.environmental.textile.kWhPerCleaning': '6 kg × 18 MJ/kg',
+            'hint.environmental.textile.waterPerCleaning': '6 kg × 18 L/kg',
+            'hint.lifespans.textileYears': '0 = no limit',
+            'hint.lifespans.textileWashCycles': 'Whichever limit comes first',
+            'hint.lifespans.disposableMonths': '0 = at every cleaning',
+            'hint.labour.minutesPerCurtainChange': 'Take down and rehang',
+            'hint.infectionControl.bedTurnover': 'Discharges per isolation bed',
+
+            'unit.money': '{currency}',
+            'unit.moneyPerWash': '{currency}/wash',
+            'unit.moneyPerClean': '{currency}/clean',
+            'unit.moneyPerHour': '{currency}/hour',
+            'unit.kWh': 'kWh',
+            'unit.liters': 'L',
+            'unit.kg': 'kg',
+            'unit.years': 'years',
+            'unit.washes': 'washes',
+            'unit.months': 'months',
+            'unit.minutes': 'min',
+            'unit.people': 'people',
+            'unit.percent': '%',
+            'unit.percentPerYear': '%/year',
+            'unit.perKWh': 'per kWh',
+            'unit.perLiter': 'per L',
+            'unit.perKg': 'per kg',
+            'unit.each': 'each',
+            'unit.perYear': 'per year',
+            'unit.cleanings': 'cleanings',
+
+            'country.SE': 'Sweden',
+            'country.NO': 'Norway',
+            'country.FI': 'Finland',
+            'country.DK': 'Denmark',
+            'country.DE': 'Germany',
+            'country.GB': 'United Kingdom',
+            'country.NL': 'Netherlands',
+            'country.FR': 'France',
+            'country.EU': 'EU average',
+
+            'actions.copyLink': 'Copy link',
+            'actions.copied': 'Link copied',
+            'actions.copyPrompt': 'Copy this link',
+            'actions.report': 'Generate report',
+
+            'report.print': 'Print / Save as PDF',
+            'report.back': 'Back to calculator',
+            'report.subtitle': 'ROI and resource report',
+            'report.preset': 'Assumptions: {name}',
+            'report.breakEven': 'Break-even',
+            'report.notReached': 'Not reached',
+            'report.annualSavings': 'Average annual savings',
+            'report.lifespanSavings': 'Savings over {years} years',
+            'report.staffSaved': 'Staff time saved',
+            'report.hoursPerYear': '{hours} hours/year',
+            'report.carbonSaved': 'CO2e saved over {years} years',
+            'report.costComparison': 'Cost comparison',
+            'report.resources': 'Resources per year',
+            'report.staff': 'Staff time per year',
+            'report.inputs': 'Inputs',
+            'report.quantity': 'Quantity',
+            'report.changedNote': '* Changed from the standard figures.',
+            'report.howCalculated': 'How the figures are calculated'
+        },
+
+        sv: {
+            'app.title': 'Silentia-kalkylator',
+            'app.heading': 'Sjukhusdraperier mot Silentia-skärmar',
+            'settings.language': 'Språk',
+            'settings.currency': 'Valuta',
+            'settings.rate': '{currency} per EUR',
+
+            'section.curtainType': 'Draperityp',
+            'section.cleaning': 'Rengöring',
+            'section.quantity': 'Antal draperier mot skärmar',
+            'section.wards': 'Avdelningar',
+            'section.resources': 'Resurser',
+            'section.labour': 'Personaltid',
+            'section.breakdown': 'Fördelning per avdelning',
+            'section.chart': 'Kostnad över tid',
+            'section.assumptions': 'Antaganden',
+
+            'type.textile': 'Textil',
+            'type.disposable': 'Engångs',
+            'type.mixed': 'Blandat',
+            'frequency.yearly': 'Årligen',
+            'frequency.quarterly': 'Kvartalsvis',
+            'frequency.monthly': 'Månadsvis',
+            'frequency.weekly': 'Veckovis',
+            'frequency.daily': 'Dagligen',
+            'frequency.custom': 'Eget',
+            'frequency.customCount': 'Eget ({count}/år)',
+            'frequency.customLabel': 'Rengöringar per år',
+
+            'quantity.placeholder': 'Ange antal',
+            'quantity.short': 'Antal',
+            'popup.quantity.1': 'Ange antalet draperier eller skärmar på er enhet.',
+            'popup.quantity.2': 'Antalet används för att beräkna total kostnad och miljöpåverkan för båda alternativen.',
+
+            'wards.add': '+ Lägg till avdelning',
+            'wards.name': 'Avdelningens namn',
+            'wards.defaultName': 'Avdelning {number}',
+            'wards.remove': 'Ta bort {name}',
+            'wards.infection': 'Isoleringsavdelning',
+            'wards.infectionHint': '{count} extra byten per draperi och år, efter utskrivningar och utbrott',
+            'line.main': 'Huvud',
+            'popup.wards.1': 'Lägg till en rad för varje avdelning som använder en annan draperityp eller rengöringsplan, till exempel engångsdraperier i isoleringsrum.',
+            'popup.wards.2': 'Valet ovan är huvudraden. Alla rader slås samman till ett resultat för hela sjukhuset.',
+
+            'roi.label': 'Återbetalningstid',
+            'roi.unit.year': { one: 'ÅR', other: 'ÅR' },
+            'roi.unit.month': { one: 'MÅNAD', other: 'MÅNADER' },
+            'roi.unit.week': { one: 'VECKA', other: 'VECKOR' },
+            'roi.unit.day': { one: 'DAG', other: 'DAGAR' },
+            'roi.na': 'E/T',
+            'payback.simple': 'Enkel återbetalning',
+            'payback.discounted': 'Diskonterad',
+            'payback.mode': 'Återbetalningsmetod',
+            'payback.years': '{years} år',
+            'popup.roi.1': 'ROI visar hur snabbt Silentia-skärmar betalar sig jämfört med draperier.',
+            'popup.roi.2': 'Den beräknar brytpunkten där Silentias högre inköpskostnad vägs upp av lägre löpande kostnader för rengöring och utbyte.',
+            'popup.roi.3': '<strong>Formel:</strong> (Silentia-kostnad - Draperikostnad) &divide; (Årlig draperikostnad - Årlig Silentia-kostnad)',
+            'popup.roi.4': '<strong>Diskonterad återbetalning</strong> använder diskonteringsränta, kostnadsinflation och prisökning från Antaganden. NPV och IRR beräknas på besparingen under Silentias livslängd.',
+            'popup.roi.5': 'Utslitna draperier köps in på nytt när de når sin livslängd i år eller tvättcykler, och engångsdraperier enligt sitt bytesintervall. Dessa inköp räknas till draperisidan.',
+
+            'finance.npv': 'NPV för besparingen',
+            'finance.npvAt': 'NPV för besparingen vid {rate} %',
+            'finance.irr': 'IRR',
+            'finance.simple': 'Enkel återbetalning',
+            'finance.discounted': 'Diskonterad återbetalning',
+
+            'results.empty': 'Ange antal för att beräkna',
+            'resource.kWh': 'kWh',
+            'resource.water': 'l avloppsvatten',
+            'resource.plastic': 'kg plast',
+            'resource.wipes': 'kg dukar',
+            'resource.disinfectant': 'l desinfektionsmedel',
+            'popup.resources.1': 'Visar den årliga resursförbrukningen för varje alternativ utifrån valt antal och rengöringsfrekvens.',
+            'popup.resources.2': '<strong>Textildraperier:</strong> Energi (kWh) och vatten per tvättcykel.',
+            'popup.resources.3': '<strong>Engångsdraperier:</strong> Plastavfall per byte.',
+            'popup.resources.4': '<strong>Silentia-skärmar:</strong> Endast desinfektionsmedel och rengöringsdukar behövs.',
+            'popup.resources.5': '<strong>CO2e:</strong> Energi, vatten, plast, dukar och desinfektionsmedel omräknade med emissionsfaktorerna under Antaganden. Totalen över livslängden inkluderar tillverkningen av draperierna och av Silentia-skärmarna själva.',
+
+            'carbon.heading': 'CO2e',
+            'carbon.perYear': 'Per år',
+            'carbon.lifespan': '{years} år, inkl. tillverkning',
+            'carbon.less': '<strong>{mass} CO2e</strong> mindre under {years} år ({percent} %)',
+            'carbon.more': '<strong>{mass} CO2e</strong> mer under {years} år',
+
+            'labour.hoursPerYear': 'timmar/år',
+            'labour.saved': '<strong>{hours} timmar</strong> personaltid sparad per år ({cost})',
+            'labour.savedUnpriced': '<strong>{hours} timmar</strong> personaltid sparad per år (ange en timkostnad under Antaganden för att räkna in den)',
+            'popup.labour.1': 'Personaltimmar per år för att ta ner och hänga upp draperier, jämfört med att torka av Silentia-skärmar.',
+            'popup.labour.2': 'Minuter och personal per moment samt timkostnad anges under Antaganden. Arbetskostnaden ingår i ROI.',
+
+            'breakdown.line': 'Rad',
+            'breakdown.curtains': 'Draperier',
+            'breakdown.savedPerYear': 'Sparat/år',
+            'breakdown.roi': 'ROI',
+            'breakdown.total': 'Totalt',
+
+            'chart.empty': 'Ange antal för att se diagrammet',
+            'chart.year': 'År',
+            'chart.yearNumber': 'År {year}',
+            'chart.breakEven': 'Brytpunkt {date}',
+            'chart.noBreakEven': 'Ingen brytpunkt inom {years} år',
+            'chart.initial': 'Investering',
+            'chart.annual': 'Genomsnittlig årskostnad',
+            'chart.total': 'Total kostnad {years} år',
+            'chart.legend.textile': 'Textildraperi',
+            'chart.legend.disposable': 'Engångsdraperi',
+            'chart.legend.mixed': 'Blandade draperier',
+            'a11y.moreInfo': 'Mer information',
+            'a11y.bars': '{title}: Silentia {silentia}, {curtain} {curtainValue}',
+            'a11y.timeline': 'Ackumulerad kostnad över {years} år: Silentia {silentia}, {curtain} {curtainValue}. {breakEven}',
+            'a11y.resources': '{label} per år: {figures}',
+            'a11y.labour': '{label}: {hours} timmar personaltid per år',
+            'a11y.announce': 'Återbetalningstid: {roi}. Genomsnittlig årlig besparing: {savings}.',
+            'a11y.announceResources': 'Per år sparar Silentia {energy} kWh, {water} l vatten och {plastic} kg plast.',
+            'popup.chart.1': 'Ackumulerad kostnad för varje alternativ, från inköp till slutet av Silentias livslängd.',
+            'popup.chart.2': 'Där linjerna korsas har Silentia betalat sig. Håll muspekaren över ett år för att se dess siffror.',
+
+            'section.sensitivity': 'Känslighet',
+            'sensitivity.intro': 'Varje kostnads- och miljöantagande flyttas nedåt och uppåt i tur och ordning medan allt annat är oförändrat. De längsta staplarna är de siffror som betyder mest.',
+            'sensitivity.gridIntro': 'Återbetalningstid för varje kombination av två indata, runt de aktuella värdena. För en enda rad beror återbetalningstiden inte på antalet.',
+            'sensitivity.range': 'Variera med ±',
+            'sensitivity.metric': 'Rangordna efter',
+            'sensitivity.carbon': 'Sparad CO2e',
+            'sensitivity.base': 'Nu: {value}',
+            'sensitivity.lower': '−{percent} %',
+            'sensitivity.higher': '+{percent} %',
+            'sensitivity.grid': 'Återbetalningsrutnät',
+            'sensitivity.rows': 'Rader',
+            'sensitivity.columns': 'Kolumner',
+
+            'section.compare': 'Jämför scenarier',
+            'popup.compare.1': 'Spara aktuella indata och antaganden som ett scenario, ändra dem och spara igen för att jämföra alternativen sida vid sida.',
+            'popup.compare.2': 'Det bästa värdet på varje rad markeras. Läs in ett scenario för att fortsätta redigera det.',
+            'compare.namePlaceholder': 'Scenarionamn, t.ex. Textil veckovis',
+            'compare.save': 'Spara scenario',
+            'compare.defaultName': 'Scenario {number}',
+            'compare.empty': 'Inga sparade scenarier ännu',
+            'compare.load': 'Läs in',
+            'compare.units': 'st',
+            'compare.silentiaTotal': 'Silentia, {years} år',
+            'compare.curtainTotal': 'Draperier, {years} år',
+            'compare.energySaved': 'Sparad energi/år',
+            'compare.waterSaved': 'Sparat vatten/år',
+            'compare.plasticSaved': 'Undviken plast/år',
+            'compare.bestNote': 'Bästa värdet på varje rad är markerat.',
+            'compare.notes': 'Anteckningar',
+            'compare.notesPlaceholder': 'Besöksanteckningar, kontakter, nästa steg',
+            'offline.status': 'Offline: beräkningar och sparade scenarier fungerar ändå',
+            'update.available': 'En ny version av kalkylatorn finns.',
+            'update.reload': 'Ladda om',
+
+            'section.inventory': 'Inventering',
+            'popup.inventory.1': 'Importera en CSV- eller JSON-lista över draperier med kolumnerna site, ward, curtain type, count och cleaning frequency (sjukhus, avdelning, draperityp, antal och rengöringsfrekvens).',
+            'popup.inventory.2': 'Varje rad beräknas med aktuella antaganden och summeras per sjukhus och för hela koncernen. Exportera resultatet som CSV eller JSON.',
+            'inventory.import': 'Importera CSV / JSON',
+            'inventory.exportCSV': 'Exportera CSV',
+            'inventory.exportJSON': 'Exportera JSON',
+            'inventory.clear': 'Rensa',
+            'inventory.site': 'Sjukhus',
+            'inventory.carbon': 'Sparad CO2e',
+            'inventory.total': 'Totalt för koncernen',
+            'inventory.imported': '{rows} rader importerade, {skipped} hoppades över',
+            'inventory.error.line': 'Rad {row}: {reason}',
+            'inventory.error.site': 'sjukhus saknas',
+            'inventory.error.type': 'okänd draperityp "{value}"',
+            'inventory.error.frequency': 'okänd rengöringsfrekvens "{value}"',
+            'inventory.error.count': 'antalet "{value}" måste vara ett heltal från 0 till 100 000',
+            'inventory.error.empty': 'Inga rader hittades i filen',
+            'inventory.error.file': 'Kunde inte läsa {value}',
+
+            'preset.default': 'Standardantaganden',
+            'preset.label': 'Förinställning',
+            'preset.delete': 'Ta bort',
+            'preset.namePlaceholder': 'Namn, t.ex. Offentlig upphandling Sverige 2026',
+            'preset.save': 'Spara',
+            'assumptions.reset': 'Återställ standardvärden',
+
+            'group.costs': 'Kostnader',
+            'group.environment': 'Miljö',
+            'group.lifespans': 'Draperiernas livslängd',
+            'group.labour': 'Arbete',
+            'group.infection': 'Smittskydd',
+            'group.finance': 'Ekonomi',
+            'group.emissions': 'Utsläpp (kg CO2e)',
+
+            'field.costs.silentiaScreen': 'Silentia-skärm',
+            'field.costs.textileCurtain': 'Textildraperi',
+            'field.costs.disposableCurtain': 'Engångsdraperi',
+            'field.costs.textileCleaning': 'Tvätt av textildraperi',
+            'field.costs.disposableReplacement': 'Byte av engångsdraperi',
+            'field.costs.silentiaCleaning': 'Rengöring av Silentia',
+            'field.environmental.textile.kWhPerCleaning': 'Energi per tvätt',
+            'field.environmental.textile.waterPerCleaning': 'Vatten per tvätt',
+            'field.environmental.disposable.plasticPerUnit': 'Polypropen per engångsdraperi',
+            'field.environmental.silentia.kWhPerCleaning': 'Energi per Silentia-rengöring',
+            'field.environmental.silentia.waterPerCleaning': 'Vatten per Silentia-rengöring',
+            'field.environmental.silentia.disinfectantPerCleaning': 'Silentia desinfektionsmedel',
+            'field.environmental.silentia.wipesPerCleaning': 'Silentia rengöringsdukar',
+            'field.lifespans.textileYears': 'Textildraperiets livslängd',
+            'field.lifespans.textileWashCycles': 'Tvättcykler för textildraperi',
+            'field.lifespans.disposableMonths': 'Byte av engångsdraperi',
+            'field.labour.minutesPerCurtainChange': 'Draperibyte',
+            'field.labour.staffPerCurtainChange': 'Personal per draperibyte',
+            'field.labour.minutesPerScreenWipe': 'Avtorkning av skärm',
+            'field.labour.staffPerScreenWipe': 'Personal per avtorkning',
+            'field.labour.hourlyRate': 'Timkostnad personal',
+            'field.infectionControl.bedTurnover': 'Beläggningsomsättning',
+            'field.infectionControl.outbreaksPerYear': 'Utbrott',
+            'field.infectionControl.cleaningsPerOutbreak': 'Extra rengöringar per utbrott',
+            'field.finance.discountRate': 'Diskonteringsränta',
+            'field.finance.costInflation': 'Inflation tvätt och arbete',
+            'field.finance.priceEscalation': 'Prisökning draperier',
+            'field.emissions.gridCountry': 'Elnät',
+            'field.emissions.gridKgPerKWh': 'El från nätet',
+            'field.emissions.waterKgPerLiter': 'Vattenförsörjning och rening',
+            'field.emissions.polypropyleneProductionKgPerKg': 'Tillverkning av polypropen',
+            'field.emissions.polypropyleneIncinerationKgPerKg': 'Förbränning av polypropen',
+            'field.emissions.wipesKgPerKg': 'Rengöringsdukar',
+            'field.emissions.disinfectantKgPerLiter': 'Desinfektionsmedel',
+            'field.emissions.textileCurtainEmbodied': 'Tillverkning av textildraperi',
+            'field.emissions.silentiaScreenEmbodied': 'Tillverkning av Silentia-skärm',
+
+            'hint.costs.textileCleaning': '6 kg × 8 €/kg',
+            'hint.environmental.textile.kWhPerCleaning': '6 kg × 18 MJ/kg',
+            'hint.environmental.textile.waterPerCleaning': '6 kg × 18 l/kg',
+            'hint.lifespans.textileYears': '0 = ingen gräns',
+            'hint.lifespans.textileWashCycles': 'Den gräns som nås först gäller',
+            'hint.lifespans.disposableMonths': '0 = vid varje rengöring',
+            'hint.labour.minutesPerCurtainChange': 'Ta ner och hänga upp',
+            'hint.infectionControl.bedTurnover': 'Utskrivningar per isoleringsplats',
+
+            'unit.money': '{currency}',
+            'unit.moneyPerWash': '{currency}/tvätt',
+            'unit.moneyPerClean': '{currency}/rengöring',
+            'unit.moneyPerHour': '{currency}/timme',
+            'unit.kWh': 'kWh',
+            'unit.liters': 'l',
+            'unit.kg': 'kg',
+            'unit.years': 'år',
+            'unit.washes': 'tvättar',
+            'unit.months': 'månader',
+            'unit.minutes': 'min',
+            'unit.people': 'personer',
+            'unit.percent': '%',
+            'unit.percentPerYear': '%/år',
+            'unit.perKWh': 'per kWh',
+            'unit.perLiter': 'per l',
+            'unit.perKg': 'per kg',
+            'unit.each': 'st',
+            'unit.perYear': 'per år',
+            'unit.cleanings': 'rengöringar',
+
+            'country.SE': 'Sverige',
+            'country.NO': 'Norge',
+            'country.FI': 'Finland',
+            'country.DK': 'Danmark',
+            'country.DE': 'Tyskland',
+            'country.GB': 'Storbritannien',
+            'country.NL': 'Nederländerna',
+            'country.FR': 'Frankrike',
+            'country.EU': 'EU-genomsnitt',
+
+            'actions.copyLink': 'Kopiera länk',
+            'actions.copied': 'Länken har kopierats',
+            'actions.copyPrompt': 'Kopiera den här länken',
+            'actions.report': 'Skapa rapport',
+
+            'report.print': 'Skriv ut / Spara som PDF',
+            'report.back': 'Tillbaka till kalkylatorn',
+            'report.subtitle': 'Rapport om återbetalning och resurser',
+            'report.preset': 'Antaganden: {name}',
+            'report.breakEven': 'Brytpunkt',
+            'report.notReached': 'Nås inte',
+            'report.annualSavings': 'Genomsnittlig årlig besparing',
+            'report.lifespanSavings': 'Besparing under {years} år',
+            'report.staffSaved': 'Sparad personaltid',
+            'report.hoursPerYear': '{hours} timmar/år',
+            'report.carbonSaved': 'Sparad CO2e under {years} år',
+            'report.costComparison': 'Kostnadsjämförelse',
+            'report.resources': 'Resurser per år',
+            'report.staff': 'Personaltid per år',
+            'report.inputs': 'Indata',
+            'report.quantity': 'Antal',
+            'report.changedNote': '* Ändrat från standardvärdena.',
+            'report.howCalculated': 'Så beräknas siffrorna'
+        },
+
+        de: {
+            'app.title': 'Silentia-Rechner',
+            'app.heading': 'Krankenhausvorhänge vs. Silentia-Wände',
+            'settings.language': 'Sprache',
+            'settings.currency': 'Währung',
+            'settings.rate': '{currency} pro EUR',
+
+            'section.curtainType': 'Vorhangart',
+            'section.cleaning': 'Reinigung',
+            'section.quantity': 'Anzahl Vorhänge vs. Wände',
+            'section.wards': 'Stationen',
+            'section.resources': 'Ressourcen',
+            'section.labour': 'Personalzeit',
+            'section.breakdown': 'Aufschlüsselung nach Station',
+            'section.chart': 'Kosten im Zeitverlauf',
+            'section.assumptions': 'Annahmen',
+
+            'type.textile': 'Textil',
+            'type.disposable': 'Einweg',
+            'type.mixed': 'Gemischt',
+            'frequency.yearly': 'Jährlich',
+            'frequency.quarterly': 'Vierteljährlich',
+            'frequency.monthly': 'Monatlich',
+            'frequency.weekly': 'Wöchentlich',
+            'frequency.daily': 'Täglich',
+            'frequency.custom': 'Benutzerdefiniert',
+            'frequency.customCount': 'Benutzerdefiniert ({count}/Jahr)',
+            'frequency.customLabel': 'Reinigungen pro Jahr',
+
+            'quantity.placeholder': 'Anzahl eingeben',
+            'quantity.short': 'Anz.',
+            'popup.quantity.1': 'Geben Sie die Anzahl der Vorhänge bzw. Wände in Ihrer Einrichtung ein.',
+            'popup.quantity.2': 'Daraus werden die Gesamtkosten und die Umweltwirkung beider Varianten berechnet.',
+
+            'wards.add': '+ Station hinzufügen',
+            'wards.name': 'Name der Station',
+            'wards.defaultName': 'Station {number}',
+            'wards.remove': '{name} entfernen',
+            'wards.infection': 'Isolierstation',
+            'wards.infectionHint': '{count} zusätzliche Wechsel pro Vorhang und Jahr, nach Entlassungen und Ausbrüchen',
+            'line.main': 'Haupt',
+            'popup.wards.1': 'Fügen Sie für jede Station oder Abteilung mit anderer Vorhangart oder anderem Reinigungsplan eine Zeile hinzu, zum Beispiel Einwegvorhänge in Isolierzimmern.',
+            'popup.wards.2': 'Die Auswahl oben ist die Hauptzeile. Alle Zeilen werden zu einem Ergebnis für die gesamte Einrichtung zusammengefasst.',
+
+            'roi.label': 'Amortisation',
+            'roi.unit.year': { one: 'JAHR', other: 'JAHRE' },
+            'roi.unit.month': { one: 'MONAT', other: 'MONATE' },
+            'roi.unit.week': { one: 'WOCHE', other: 'WOCHEN' },
+            'roi.unit.day': { one: 'TAG', other: 'TAGE' },
+            'roi.na': 'k. A.',
+            'payback.simple': 'Einfache Amortisation',
+            'payback.discounted': 'Abgezinst',
+            'payback.mode': 'Amortisationsmethode',
+            'payback.years': '{years} J.',
+            'popup.roi.1': 'Der ROI zeigt, wie schnell sich Silentia-Wände im Vergleich zu Vorhängen bezahlt machen.',
+            'popup.roi.2': 'Berechnet wird der Break-even, an dem die höheren Anschaffungskosten von Silentia durch niedrigere laufende Reinigungs- und Ersatzkosten ausgeglichen sind.',
+            'popup.roi.3': '<strong>Formel:</strong> (Kosten Silentia - Kosten Vorhang) &divide; (Jährliche Vorhangkosten - Jährliche Silentia-Kosten)',
+            'popup.roi.4': 'Die <strong>abgezinste Amortisation</strong> berücksichtigt Diskontsatz, Kosteninflation und Preissteigerung aus den Annahmen. Kapitalwert und IRR beziehen sich auf die Einsparungen über die Lebensdauer von Silentia.',
+            'popup.roi.5': 'Verschlissene Vorhänge werden nach Ablauf ihrer Lebensdauer in Jahren oder Waschzyklen neu gekauft, Einwegvorhänge im Wechselintervall. Diese Käufe zählen zur Vorhangseite.',
+
+            'finance.npv': 'Kapitalwert der Einsparungen',
+            'finance.npvAt': 'Kapitalwert der Einsparungen bei {rate} %',
+            'finance.irr': 'IRR',
+            'finance.simple': 'Einfache Amortisation',
+            'finance.discounted': 'Abgezinste Amortisation',
+
+            'results.empty': 'Anzahl eingeben, um zu berechnen',
+            'resource.kWh': 'kWh',
+            'resource.water': 'l Abwasser',
+            'resource.plastic': 'kg Kunststoff',
+            'resource.wipes': 'kg Tücher',
+            'resource.disinfectant': 'l Desinfektionsmittel',
+            'popup.resources.1': 'Zeigt den jährlichen Ressourcenverbrauch beider Varianten für die gewählte Anzahl und Reinigungshäufigkeit.',
+            'popup.resources.2': '<strong>Textilvorhänge:</strong> Energie (kWh) und Wasser pro Waschgang.',
+            'popup.resources.3': '<strong>Einwegvorhänge:</strong> Kunststoffabfall pro Wechsel.',
+            'popup.resources.4': '<strong>Silentia-Wände:</strong> Nur Desinfektionsmittel und Reinigungstücher.',
+            'popup.resources.5': '<strong>CO2e:</strong> Energie, Wasser, Kunststoff, Tücher und Desinfektionsmittel, umgerechnet mit den Emissionsfaktoren aus den Annahmen. Die Summe über die Lebensdauer enthält die Herstellung der Vorhänge und der Silentia-Wände selbst.',
+
+            'carbon.heading': 'CO2e',
+            'carbon.perYear': 'Pro Jahr',
+            'carbon.lifespan': '{years} Jahre, inkl. Herstellung',
+            'carbon.less': '<strong>{mass} CO2e</strong> weniger in {years} Jahren ({percent} %)',
+            'carbon.more': '<strong>{mass} CO2e</strong> mehr in {years} Jahren',
+
+            'labour.hoursPerYear': 'Stunden/Jahr',
+            'labour.saved': '<strong>{hours} Stunden</strong> Personalzeit pro Jahr eingespart ({cost})',
+            'labour.savedUnpriced': '<strong>{hours} Stunden</strong> Personalzeit pro Jahr eingespart (Stundensatz unter Annahmen eingeben, um sie zu bewerten)',
+            'popup.labour.1': 'Personalstunden pro Jahr für das Ab- und Aufhängen von Vorhängen im Vergleich zum Abwischen der Silentia-Wände.',
+            'popup.labour.2': 'Minuten und Personal pro Arbeitsgang sowie der Stundensatz werden unter Annahmen festgelegt. Die Personalkosten fließen in den ROI ein.',
+
+            'breakdown.line': 'Zeile',
+            'breakdown.curtains': 'Vorhänge',
+            'breakdown.savedPerYear': 'Ersparnis/J.',
+            'breakdown.roi': 'ROI',
+            'breakdown.total': 'Gesamt',
+
+            'chart.empty': 'Anzahl eingeben, um das Diagramm zu sehen',
+            'chart.year': 'Jahr',
+            'chart.yearNumber': 'Jahr {year}',
+            'chart.breakEven': 'Break-even {date}',
+            'chart.noBreakEven': 'Kein Break-even innerhalb von {years} Jahren',
+            'chart.initial': 'Anschaffung',
+            'chart.annual': 'Durchschnittliche Jahreskosten',
+            'chart.total': 'Gesamtkosten über {years} Jahre',
+            'chart.legend.textile': 'Textilvorhang',
+            'chart.legend.disposable': 'Einwegvorhang',
+            'chart.legend.mixed': 'Gemischte Vorhänge',
+            'a11y.moreInfo': 'Weitere Informationen',
+            'a11y.bars': '{title}: Silentia {silentia}, {curtain} {curtainValue}',
+            'a11y.timeline': 'Kumulierte Kosten über {years} Jahre: Silentia {silentia}, {curtain} {curtainValue}. {breakEven}',
+            'a11y.resources': '{label} pro Jahr: {figures}',
+            'a11y.labour': '{label}: {hours} Stunden Personalzeit pro Jahr',
+            'a11y.announce': 'Amortisation: {roi}. Durchschnittliche jährliche Einsparung: {savings}.',
+            'a11y.announceResources': 'Pro Jahr spart Silentia {energy} kWh, {water} l Wasser und {plastic} kg Kunststoff.',
+            'popup.chart.1': 'Kumulierte Ausgaben beider Varianten vom Kauf bis zum Ende der Lebensdauer von Silentia.',
+            'popup.chart.2': 'Wo sich die Linien kreuzen, hat sich Silentia bezahlt gemacht. Fahren Sie über ein Jahr, um dessen Werte zu sehen.',
+
+            'section.sensitivity': 'Sensitivität',
+            'sensitivity.intro': 'Jede Kosten- und Umweltannahme wird nacheinander nach unten und oben verschoben, alles andere bleibt gleich. Die längsten Balken zeigen die Werte, auf die es am meisten ankommt.',
+            'sensitivity.gridIntro': 'Amortisation für jede Kombination zweier Eingaben rund um die aktuellen Werte. Bei nur einer Zeile hängt die Amortisation nicht von der Anzahl ab.',
+            'sensitivity.range': 'Variieren um ±',
+            'sensitivity.metric': 'Sortieren nach',
+            'sensitivity.carbon': 'CO2e-Ersparnis',
+            'sensitivity.base': 'Aktuell: {value}',
+            'sensitivity.lower': '−{percent} %',
+            'sensitivity.higher': '+{percent} %',
+            'sensitivity.grid': 'Amortisationsraster',
+            'sensitivity.rows': 'Zeilen',
+            'sensitivity.columns': 'Spalten',
+
+            'section.compare': 'Szenarien vergleichen',
+            'popup.compare.1': 'Speichern Sie die aktuellen Eingaben und Annahmen als Szenario, ändern Sie sie und speichern Sie erneut, um Varianten nebeneinander zu vergleichen.',
+            'popup.compare.2': 'Der beste Wert jeder Zeile ist hervorgehoben. Laden Sie ein Szenario, um es weiter zu bearbeiten.',
+            'compare.namePlaceholder': 'Szenarioname, z. B. Textil wöchentlich',
+            'compare.save': 'Szenario speichern',
+            'compare.defaultName': 'Szenario {number}',
+            'compare.empty': 'Noch keine gespeicherten Szenarien',
+            'compare.load': 'Laden',
+            'compare.units': 'Stück',
+            'compare.silentiaTotal': 'Silentia, {years} Jahre',
+            'compare.curtainTotal': 'Vorhänge, {years} Jahre',
+            'compare.energySaved': 'Energieersparnis/J.',
+            'compare.waterSaved': 'Wasserersparnis/J.',
+            'compare.plasticSaved': 'Vermiedener Kunststoff/J.',
+            'compare.bestNote': 'Bester Wert je Zeile hervorgehoben.',
+            'compare.notes': 'Notizen',
+            'compare.notesPlaceholder': 'Besuchsnotizen, Kontakte, nächste Schritte',
+            'offline.status': 'Offline: Berechnungen und gespeicherte Szenarien funktionieren weiterhin',
+            'update.available': 'Eine neue Version des Rechners ist verfügbar.',
+            'update.reload': 'Neu laden',
+
+            'section.inventory': 'Bestandsliste',
+            'popup.inventory.1': 'Importieren Sie eine CSV- oder JSON-Liste der Vorhänge mit den Spalten site, ward, curtain type, count und cleaning frequency (Standort, Station, Vorhangart, Anzahl und Reinigungshäufigkeit).',
+            'popup.inventory.2': 'Jede Zeile wird mit den aktuellen Annahmen berechnet und je Standort sowie für die gesamte Gruppe summiert. Die Ergebnisse lassen sich als CSV oder JSON exportieren.',
+            'inventory.import': 'CSV / JSON importieren',
+            'inventory.exportCSV': 'CSV exportieren',
+            'inventory.exportJSON': 'JSON exportieren',
+            'inventory.clear': 'Leeren',
+            'inventory.site': 'Standort',
+            'inventory.carbon': 'CO2e-Ersparnis',
+            'inventory.total': 'Gruppe gesamt',
+            'inventory.imported': '{rows} Zeilen importiert, {skipped} übersprungen',
+            'inventory.error.line': 'Zeile {row}: {reason}',
+            'inventory.error.site': 'Standort fehlt',
+            'inventory.error.type': 'unbekannte Vorhangart „{value}“',
+            'inventory.error.frequency': 'unbekannte Reinigungshäufigkeit „{value}“',
+            'inventory.error.count': 'Anzahl „{value}“ muss eine ganze Zahl von 0 bis 100.000 sein',
+            'inventory.error.empty': 'Keine Zeilen in der Datei gefunden',
+            'inventory.error.file': '{value} konnte nicht gelesen werden',
+
+            'preset.default': 'Standardannahmen',
+            'preset.label': 'Voreinstellung',
+            'preset.delete': 'Löschen',
+            'preset.namePlaceholder': 'Name, z. B. Ausschreibung Bayern 2026',
+            'preset.save': 'Speichern',
+            'assumptions.reset': 'Auf Standard zurücksetzen',
+
+            'group.costs': 'Kosten',
+            'group.environment': 'Umwelt',
+            'group.lifespans': 'Lebensdauer der Vorhänge',
+            'group.labour': 'Personal',
+            'group.infection': 'Infektionsschutz',
+            'group.finance': 'Finanzen',
+            'group.emissions': 'Emissionen (kg CO2e)',
+
+            'field.costs.silentiaScreen': 'Silentia-Wand',
+            'field.costs.textileCurtain': 'Textilvorhang',
+            'field.costs.disposableCurtain': 'Einwegvorhang',
+            'field.costs.textileCleaning': 'Wäsche Textilvorhang',
+            'field.costs.disposableReplacement': 'Wechsel Einwegvorhang',
+            'field.costs.silentiaCleaning': 'Reinigung Silentia',
+            'field.environmental.textile.kWhPerCleaning': 'Energie pro Wäsche',
+            'field.environmental.textile.waterPerCleaning': 'Wasser pro Wäsche',
+            'field.environmental.disposable.plasticPerUnit': 'Polypropylen pro Einwegvorhang',
+            'field.environmental.silentia.kWhPerCleaning': 'Energie pro Silentia-Reinigung',
+            'field.environmental.silentia.waterPerCleaning': 'Wasser pro Silentia-Reinigung',
+            'field.environmental.silentia.disinfectantPerCleaning': 'Silentia Desinfektionsmittel',
+            'field.environmental.silentia.wipesPerCleaning': 'Silentia Reinigungstücher',
+            'field.lifespans.textileYears': 'Lebensdauer Textilvorhang',
+            'field.lifespans.textileWashCycles': 'Waschzyklen Textilvorhang',
+            'field.lifespans.disposableMonths': 'Wechsel Einwegvorhang',
+            'field.labour.minutesPerCurtainChange': 'Vorhangwechsel',
+            'field.labour.staffPerCurtainChange': 'Personal pro Vorhangwechsel',
+            'field.labour.minutesPerScreenWipe': 'Abwischen einer Wand',
+            'field.labour.staffPerScreenWipe': 'Personal pro Abwischen',
+            'field.labour.hourlyRate': 'Stundensatz Personal',
+            'field.infectionControl.bedTurnover': 'Bettenumschlag',
+            'field.infectionControl.outbreaksPerYear': 'Ausbrüche',
+            'field.infectionControl.cleaningsPerOutbreak': 'Zusätzliche Reinigungen pro Ausbruch',
+            'field.finance.discountRate': 'Diskontsatz',
+            'field.finance.costInflation': 'Inflation Wäsche und Personal',
+            'field.finance.priceEscalation': 'Preissteigerung Vorhänge',
+            'field.emissions.gridCountry': 'Stromnetz',
+            'field.emissions.gridKgPerKWh': 'Netzstrom',
+            'field.emissions.waterKgPerLiter': 'Wasserversorgung und -aufbereitung',
+            'field.emissions.polypropyleneProductionKgPerKg': 'Herstellung Polypropylen',
+            'field.emissions.polypropyleneIncinerationKgPerKg': 'Verbrennung Polypropylen',
+            'field.emissions.wipesKgPerKg': 'Reinigungstücher',
+            'field.emissions.disinfectantKgPerLiter': 'Desinfektionsmittel',
+            'field.emissions.textileCurtainEmbodied': 'Herstellung Textilvorhang',
+            'field.emissions.silentiaScreenEmbodied': 'Herstellung Silentia-Wand',
+
+            'hint.costs.textileCleaning': '6 kg × 8 €/kg',
+            'hint.environmental.textile.kWhPerCleaning': '6 kg × 18 MJ/kg',
+            'hint.environmental.textile.waterPerCleaning': '6 kg × 18 l/kg',
+            'hint.lifespans.textileYears': '0 = keine Grenze',
+            'hint.lifespans.textileWashCycles': 'Die zuerst erreichte Grenze gilt',
+            'hint.lifespans.disposableMonths': '0 = bei jeder Reinigung',
+            'hint.labour.minutesPerCurtainChange': 'Abhängen und Aufhängen',
+            'hint.infectionControl.bedTurnover': 'Entlassungen pro Isolierbett',
+
+            'unit.money': '{currency}',
+            'unit.moneyPerWash': '{currency}/Wäsche',
+            'unit.moneyPerClean': '{currency}/Reinigung',
+            'unit.moneyPerHour': '{currency}/Std.',
+            'unit.kWh': 'kWh',
+            'unit.liters': 'l',
+            'unit.kg': 'kg',
+            'unit.years': 'Jahre',
+            'unit.washes': 'Wäschen',
+            'unit.months': 'Monate',
+            'unit.minutes': 'Min.',
+            'unit.people': 'Personen',
+            'unit.percent': '%',
+            'unit.percentPerYear': '%/Jahr',
+            'unit.perKWh': 'pro kWh',
+            'unit.perLiter': 'pro l',
+            'unit.perKg': 'pro kg',
+            'unit.each': 'pro Stück',
+            'unit.perYear': 'pro Jahr',
+            'unit.cleanings': 'Reinigungen',
+
+            'country.SE': 'Schweden',
+            'country.NO': 'Norwegen',
+            'country.FI': 'Finnland',
+            'country.DK': 'Dänemark',
+            'country.DE': 'Deutschland',
+            'country.GB': 'Vereinigtes Königreich',
+            'country.NL': 'Niederlande',
+            'country.FR': 'Frankreich',
+            'country.EU': 'EU-Durchschnitt',
+
+            'actions.copyLink': 'Link kopieren',
+            'actions.copied': 'Link kopiert',
+            'actions.copyPrompt': 'Diesen Link kopieren',
+            'actions.report': 'Bericht erstellen',
+
+            'report.print': 'Drucken / Als PDF speichern',
+            'report.back': 'Zurück zum Rechner',
+            'report.subtitle': 'Bericht zu Amortisation und Ressourcen',
+            'report.preset': 'Annahmen: {name}',
+            'report.breakEven': 'Break-even',
+            'report.notReached': 'Nicht erreicht',
+            'report.annualSavings': 'Durchschnittliche jährliche Einsparung',
+            'report.lifespanSavings': 'Einsparung über {years} Jahre',
+            'report.staffSaved': 'Eingesparte Personalzeit',
+            'report.hoursPerYear': '{hours} Stunden/Jahr',
+            'report.carbonSaved': 'Eingespartes CO2e über {years} Jahre',
+            'report.costComparison': 'Kostenvergleich',
+            'report.resources': 'Ressourcen pro Jahr',
+            'report.staff': 'Personalzeit pro Jahr',
+            'report.inputs': 'Eingaben',
+            'report.quantity': 'Anzahl',
+            'report.changedNote': '* Abweichend von den Standardwerten.',
+            'report.howCalculated': 'So werden die Werte berechnet'
+        }
+    };
+
+    /**
+     * Looks up a string, falling back to English and then to the key itself.
+     *
+     * @param {string} language - Key of LANGUAGES
+     * @param {string} key - Catalogue key, e.g. 'roi.unit.year'
+     * @param {object} [params] - Placeholder values; `count` picks the plural form
+     * @returns {string}
+     */
+    function translate(language, key, params) {
+        const strings = CATALOGUE[language] || CATALOGUE[DEFAULT_LANGUAGE];
+        let entry = strings[key] !== undefined ? strings[key] : CATALOGUE[DEFAULT_LANGUAGE][key];
+        if (entry === undefined) return key;
+
+        if (typeof entry === 'object') {
+            const locale = (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+            const count = params && typeof params.count === 'number' ? params.count : 0;
+            entry = entry[new Intl.PluralRules(locale).select(count)] || entry.other;
+        }
+
+        return !params ? entry : entry.replace(/\{(\w+)\}/g, (match, name) =>
+            (params[name] !== undefined ? params[name] : match));
+    }
+
+    return {
+        LANGUAGES: LANGUAGES,
+        DEFAULT_LANGUAGE: DEFAULT_LANGUAGE,
+        CURRENCIES: CURRENCIES,
+        DEFAULT_CURRENCY: DEFAULT_CURRENCY,
+        CATALOGUE: CATALOGUE,
+        translate: translate
+    };
+}));
@@ -0,0 +1,125 @@
+// ============================================
+// SILENTIA OFFLINE STORE
+// ============================================
+// Keeps saved scenarios and notes in IndexedDB, so they stay on the
+// device between sessions and offline. Where IndexedDB is unavailable
+// (old browsers, some private modes, Node) values go to localStorage
+// instead. Loads as a browser global (window.SilentiaStore) or as a
+// CommonJS module.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SilentiaStore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DB_NAME = 'silentia-calculator';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'records';
+
+    // localStorage keys are prefixed; values saved there before the move
+    // to IndexedDB are read from the same keys
+    const FALLBACK_PREFIX = 'silentia-calculator.';
+
+    let database = null;
+
+    // Resolves to the open database, or null without IndexedDB
+    function open() {
+        if (!database) {
+            database = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = indexedDB.open(DB_NAME, DB_VERSION);
+                    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (e) {
+                    resolve(null);
+                }
+            });
+        }
+        return database;
+    }
+
+    // Runs one request in its own transaction, resolving once committed
+    function run(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function readFallback(key, fallback) {
+        try {
+            const raw = localStorage.getItem(FALLBACK_PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function writeFallback(key, value) {
+        try {
+            localStorage.setItem(FALLBACK_PREFIX + key, JSON.stringify(value));
+        } catch (e) {
+            // Storage full or unavailable; the value just won't persist
+        }
+    }
+
+    function removeFallback(key) {
+        try {
+            localStorage.removeItem(FALLBACK_PREFIX + key);
+        } catch (e) {
+            // Nothing to clean up
+        }
+    }
+
+    /**
+     * Reads a stored value.
+     *
+     * @param {string} key - e.g. 'scenarios'
+     * @param {*} fallback - Returned when nothing is stored
+     * @returns {Promise<*>}
+     */
+    function get(key, fallback) {
+        return open().then(db => {
+            if (!db) return readFallback(key, fallback);
+            return run(db, 'readonly', store => store.get(key)).then(value =>
+                (value === undefined ? readFallback(key, fallback) : value));
+        }).catch(() => readFallback(key, fallback));
+    }
+
+    /**
+     * Stores a value. Never rejects; a value that can't be saved is dropped.
+     *
+     * @param {string} key - e.g. 'scenarios'
+     * @param {*} value - Anything structured-cloneable
+     * @returns {Promise<void>}
+     */
+    function set(key, value) {
+        return open().then(db => {
+            if (!db) {
+                writeFallback(key, value);
+                return;
+            }
+            // Once in IndexedDB, an older localStorage copy must not win
+            return run(db, 'readwrite', store => store.put(value, key)).then(() => removeFallback(key));
+        }).catch(() => {
+            // Quota exceeded or the database was closed; the value won't persist
+        });
+    }
+
+    return {
+        get: get,
+        set: set
+    };
+}));
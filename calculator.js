@@ -2,72 +2,431 @@
 // STATE MANAGEMENT
 // ============================================
 
+// Cleanings per year offered when 'custom' is first chosen
+const DEFAULT_CUSTOM_CLEANINGS = 26;
+
 // Application state
 const state = {
     curtainType: 'textile', // 'textile' or 'disposable'
-    cleaningFrequency: 'quarterly', // 'quarterly', 'monthly', 'weekly'
-    quantity: 0
+    cleaningFrequency: 'quarterly', // 'yearly', 'quarterly', 'monthly', 'weekly', 'daily' or 'custom'
+    cleaningsPerYear: DEFAULT_CUSTOM_CLEANINGS, // Used when cleaningFrequency is 'custom'
+    infectionControl: false, // Isolation ward: infection-control cleanings apply to this line
+    quantity: 0,
+    paybackMode: 'simple', // 'simple' or 'discounted' break-even in the ROI calendar
+    // Extra ward/department lines for mixed fleets, each with its own custom
+    // count and infection-control choice:
+    // [{ name, curtainType, cleaningFrequency, cleaningsPerYear, infectionControl, quantity }]
+    wards: []
 };
 
-// Product lifespan
-const SILENTIA_LIFESPAN_YEARS = 10; // Technical lifespan of Silentia screens
+// Calculation engine (window global in the browser, CommonJS in Node)
+const Engine = typeof SilentiaEngine !== 'undefined' ?
+    SilentiaEngine : require('./calculator-engine.js');
+
+const SILENTIA_LIFESPAN_YEARS = Engine.SILENTIA_LIFESPAN_YEARS;
+
+// Translations (window global in the browser, CommonJS in Node)
+const I18n = typeof SilentiaI18n !== 'undefined' ?
+    SilentiaI18n : require('./calculator-i18n.js');
+
+// Offline store for scenarios and notes (window global in the browser,
+// CommonJS in Node)
+const Store = typeof SilentiaStore !== 'undefined' ?
+    SilentiaStore : require('./calculator-store.js');
 
-// Calculation constants (real cost data in euros)
-const COSTS = {
-    silentiaScreen: 1310, // Cost per Silentia screen (€1310)
-    textileCurtain: 800, // Cost per textile curtain (€800)
-    disposableCurtain: 700, // Cost per disposable curtain (€700)
+// ============================================
+// LANGUAGE AND CURRENCY
+// ============================================
 
-    // Cleaning costs
-    textileCleaning: 48, // Cost per textile curtain cleaning (6 kg × €8/kg = €48)
-    disposableCleaning: 0, // Disposable gets replaced, not cleaned
-    disposableReplacement: 700, // Cost to replace disposable (€700)
-    silentiaCleaning: 5 // Low cleaning cost for Silentia screens
+const SETTINGS_STORAGE_KEY = 'silentia-calculator.settings';
+
+// Display settings. The engine works in euros; money is converted with
+// the rate for the selected currency (units per 1 EUR) when shown.
+const settings = {
+    language: I18n.DEFAULT_LANGUAGE,
+    currency: I18n.DEFAULT_CURRENCY,
+    rates: Object.assign({}, I18n.CURRENCIES)
 };
 
-// Environmental impact constants
-const ENVIRONMENTAL = {
-    textile: {
-        // 1 curtain = 6 kg × 18 MJ/kg = 108 MJ = 30 kWh per wash
-        kWhPerCleaning: 30, // kWh per textile curtain wash
-        // 1 curtain = 6 kg × 18 L/kg = 108 liters per wash
-        waterPerCleaning: 108 // Liters per textile curtain wash
-    },
-    disposable: {
-        // 1 disposable curtain = 2 kg polypropylene waste per replacement
-        plasticPerUnit: 2 // kg of plastic waste per disposable curtain
+// Translated string for the selected language
+function t(key, params) {
+    return I18n.translate(settings.language, key, params);
+}
+
+function currentLocale() {
+    return I18n.LANGUAGES[settings.language].locale;
+}
+
+function exchangeRate() {
+    return settings.rates[settings.currency];
+}
+
+// Takes whichever of language, currency and rates are valid
+function applySettings(values) {
+    if (!values || typeof values !== 'object') return;
+    if (I18n.LANGUAGES[values.language]) settings.language = values.language;
+    if (I18n.CURRENCIES[values.currency]) settings.currency = values.currency;
+    if (values.rates && typeof values.rates === 'object') {
+        Object.keys(I18n.CURRENCIES).forEach(code => {
+            const rate = Number(values.rates[code]);
+            if (code !== I18n.DEFAULT_CURRENCY && Number.isFinite(rate) && rate > 0) settings.rates[code] = rate;
+        });
+    }
+}
+
+// Fills every element marked with a catalogue key
+function applyTranslations() {
+    document.documentElement.lang = settings.language;
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+}
+
+// Shows the exchange rate field for any currency other than the euro
+function syncSettingsControls() {
+    document.getElementById('language-select').value = settings.language;
+    document.getElementById('currency-select').value = settings.currency;
+    document.getElementById('exchange-rate-field').hidden = settings.currency === I18n.DEFAULT_CURRENCY;
+    document.getElementById('exchange-rate-label').textContent = t('settings.rate', { currency: settings.currency });
+    const rateInput = document.getElementById('exchange-rate');
+    rateInput.value = exchangeRate();
+    rateInput.classList.remove('invalid');
+}
+
+// Redraws everything that carries text or money after a settings change
+function refreshSettings() {
+    writeStorage(SETTINGS_STORAGE_KEY, settings);
+    applyTranslations();
+    syncSettingsControls();
+    renderAssumptionsPanel();
+    renderWardLines();
+    renderComparison();
+    renderInventory();
+    closeReport();
+    update();
+}
+
+// Stored settings first, then any carried by a shared link
+function initializeSettings(params) {
+    applySettings(readStorage(SETTINGS_STORAGE_KEY, null));
+    applySettings({
+        language: params.get('lang'),
+        currency: params.get('cur'),
+        rates: params.has('rate') ? { [params.get('cur')]: params.get('rate') } : null
+    });
+
+    document.getElementById('language-select').innerHTML = Object.keys(I18n.LANGUAGES).map(code =>
+        `<option value="${code}">${I18n.LANGUAGES[code].name}</option>`).join('');
+    document.getElementById('currency-select').innerHTML = Object.keys(I18n.CURRENCIES).map(code =>
+        `<option>${code}</option>`).join('');
+
+    document.getElementById('language-select').addEventListener('change', function() {
+        settings.language = this.value;
+        refreshSettings();
+    });
+
+    document.getElementById('currency-select').addEventListener('change', function() {
+        settings.currency = this.value;
+        refreshSettings();
+    });
+
+    document.getElementById('exchange-rate').addEventListener('input', function() {
+        const rate = parseFloat(this.value);
+        const valid = Number.isFinite(rate) && rate > 0;
+        this.classList.toggle('invalid', !valid);
+        if (!valid) return;
+        settings.rates[settings.currency] = rate;
+        writeStorage(SETTINGS_STORAGE_KEY, settings);
+        syncAssumptionsPanel();
+        // Saved scenarios and inventory rows show money at the rate too
+        renderComparison();
+        renderInventory();
+        update();
+    });
+
+    applyTranslations();
+    syncSettingsControls();
+}
+
+// ============================================
+// ASSUMPTIONS
+// ============================================
+
+// Grid emission factor presets offered in the assumptions panel
+const GRID_COUNTRIES = ['SE', 'NO', 'FI', 'DK', 'DE', 'GB', 'NL', 'FR', 'EU'];
+
+// Editable assumption fields, in panel order. Labels, hints and units are
+// catalogue keys; `money` fields are entered in the display currency.
+// Numbers must lie within `min` and `max` (in euros for money), so a
+// tampered share link can't feed the engine absurd figures; `offAtZero`
+// fields also take 0, which switches the limit off.
+const ASSUMPTION_FIELDS = [
+    { group: 'costs', path: 'costs.silentiaScreen', unit: 'money', money: true, min: 0, max: 100000 },
+    { group: 'costs', path: 'costs.textileCurtain', unit: 'money', money: true, min: 0, max: 100000 },
+    { group: 'costs', path: 'costs.disposableCurtain', unit: 'money', money: true, min: 0, max: 100000 },
+    { group: 'costs', path: 'costs.textileCleaning', unit: 'moneyPerWash', money: true, hint: true, min: 0, max: 10000 },
+    { group: 'costs', path: 'costs.disposableReplacement', unit: 'money', money: true, min: 0, max: 100000 },
+    { group: 'costs', path: 'costs.silentiaCleaning', unit: 'moneyPerClean', money: true, min: 0, max: 10000 },
+    { group: 'environment', path: 'environmental.textile.kWhPerCleaning', unit: 'kWh', hint: true, min: 0, max: 1000 },
+    { group: 'environment', path: 'environmental.textile.waterPerCleaning', unit: 'liters', hint: true, min: 0, max: 10000 },
+    { group: 'environment', path: 'environmental.disposable.plasticPerUnit', unit: 'kg', min: 0, max: 100 },
+    { group: 'environment', path: 'environmental.silentia.kWhPerCleaning', unit: 'kWh', min: 0, max: 100 },
+    { group: 'environment', path: 'environmental.silentia.waterPerCleaning', unit: 'liters', min: 0, max: 1000 },
+    { group: 'environment', path: 'environmental.silentia.disinfectantPerCleaning', unit: 'liters', min: 0, max: 10 },
+    { group: 'environment', path: 'environmental.silentia.wipesPerCleaning', unit: 'kg', min: 0, max: 10 },
+    { group: 'lifespans', path: 'lifespans.textileYears', unit: 'years', hint: true, min: 1, max: 50, offAtZero: true },
+    { group: 'lifespans', path: 'lifespans.textileWashCycles', unit: 'washes', hint: true, min: 1, max: 10000, offAtZero: true },
+    { group: 'lifespans', path: 'lifespans.disposableMonths', unit: 'months', hint: true, min: 1, max: 120, offAtZero: true },
+    { group: 'labour', path: 'labour.minutesPerCurtainChange', unit: 'minutes', hint: true, min: 0, max: 480 },
+    { group: 'labour', path: 'labour.staffPerCurtainChange', unit: 'people', min: 0, max: 10 },
+    { group: 'labour', path: 'labour.minutesPerScreenWipe', unit: 'minutes', min: 0, max: 480 },
+    { group: 'labour', path: 'labour.staffPerScreenWipe', unit: 'people', min: 0, max: 10 },
+    { group: 'labour', path: 'labour.hourlyRate', unit: 'moneyPerHour', money: true, min: 0, max: 1000 },
+    { group: 'infection', path: 'infectionControl.bedTurnover', unit: 'perYear', hint: true, min: 0, max: 365 },
+    { group: 'infection', path: 'infectionControl.outbreaksPerYear', unit: 'perYear', min: 0, max: 52 },
+    { group: 'infection', path: 'infectionControl.cleaningsPerOutbreak', unit: 'cleanings', min: 0, max: 100 },
+    { group: 'finance', path: 'finance.discountRate', unit: 'percent', min: 0, max: 100 },
+    { group: 'finance', path: 'finance.costInflation', unit: 'percentPerYear', min: 0, max: 100 },
+    { group: 'finance', path: 'finance.priceEscalation', unit: 'percentPerYear', min: 0, max: 100 },
+    {
+        group: 'emissions', path: 'emissions.gridCountry', unit: '',
+        options: GRID_COUNTRIES,
+        optionLabel: (country) => t('country.' + country),
+        // Picking a country loads its indicative grid factor, which stays editable
+        onChange: (country) => Engine.writeAssumption(activeAssumptions, 'emissions.gridKgPerKWh',
+            Engine.GRID_EMISSION_FACTORS[country])
     },
-    silentia: {
-        kWhPerCleaning: 0, // No energy used for Silentia cleaning
-        waterPerCleaning: 0, // No water used for Silentia cleaning
-        disinfectantPerCleaning: 0.02, // 0.02 liters disinfectant per screen
-        wipesPerCleaning: 0.015 // 1 cleaning wipe per screen = 0.015 kg
+    { group: 'emissions', path: 'emissions.gridKgPerKWh', unit: 'perKWh', min: 0, max: 2 },
+    { group: 'emissions', path: 'emissions.waterKgPerLiter', unit: 'perLiter', min: 0, max: 1 },
+    { group: 'emissions', path: 'emissions.polypropyleneProductionKgPerKg', unit: 'perKg', min: 0, max: 10 },
+    { group: 'emissions', path: 'emissions.polypropyleneIncinerationKgPerKg', unit: 'perKg', min: 0, max: 10 },
+    { group: 'emissions', path: 'emissions.wipesKgPerKg', unit: 'perKg', min: 0, max: 10 },
+    { group: 'emissions', path: 'emissions.disinfectantKgPerLiter', unit: 'perLiter', min: 0, max: 10 },
+    { group: 'emissions', path: 'emissions.textileCurtainEmbodied', unit: 'each', min: 0, max: 1000 },
+    { group: 'emissions', path: 'emissions.silentiaScreenEmbodied', unit: 'each', min: 0, max: 10000 }
+];
+
+function fieldUnit(field) {
+    return field.unit ? t('unit.' + field.unit, { currency: currencySymbol() }) : '';
+}
+
+// Money assumptions are stored in euros and shown in the display currency
+function toDisplayValue(field, value) {
+    return field.money ? parseFloat((value * exchangeRate()).toFixed(4)) : value;
+}
+
+function fromDisplayValue(field, value) {
+    return field.money ? parseFloat((value / exchangeRate()).toFixed(6)) : value;
+}
+
+const PRESETS_STORAGE_KEY = 'silentia-calculator.presets';
+const ACTIVE_PRESET_STORAGE_KEY = 'silentia-calculator.active-preset';
+
+// Assumptions used by every calculation; edited through the panel
+let activeAssumptions = Engine.resolveAssumptions();
+let activePresetName = '';
+
+// localStorage can be unavailable (private mode, blocked cookies)
+function readStorage(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        return fallback;
     }
-};
+}
 
-// Cleaning frequency multipliers (times per year)
-const FREQUENCY_MULTIPLIER = {
-    yearly: 1,
-    quarterly: 4,
-    monthly: 12,
-    weekly: 52,
-    daily: 365
-};
+function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        // Storage full or unavailable; presets just won't persist
+    }
+}
+
+function loadPresets() {
+    const presets = readStorage(PRESETS_STORAGE_KEY, {});
+    return presets !== null && typeof presets === 'object' ? presets : {};
+}
+
+// Returns the value if the field accepts it, otherwise null. Money is
+// checked in euros, as stored.
+function validateAssumption(field, raw) {
+    if (field.options) return field.options.includes(raw) ? raw : null;
+    const value = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    if (value === 0 && field.offAtZero) return value;
+    return value >= field.min && value <= field.max ? value : null;
+}
+
+function renderAssumptionsPanel() {
+    const container = document.getElementById('assumptions-fields');
+    let html = '';
+    let currentGroup = null;
+
+    ASSUMPTION_FIELDS.forEach(field => {
+        if (field.group !== currentGroup) {
+            if (currentGroup !== null) html += '</fieldset>';
+            html += `<fieldset class="assumptions-group"><legend>${t('group.' + field.group)}</legend>`;
+            currentGroup = field.group;
+        }
+        const id = 'assumption-' + field.path.replace(/\./g, '-');
+        const control = field.options ?
+            `<select id="${id}" data-path="${field.path}">${field.options.map(value =>
+                `<option value="${value}">${field.optionLabel(value)}</option>`).join('')}</select>` :
+            `<input type="number" id="${id}" data-path="${field.path}" min="${field.offAtZero ? 0 : field.min}" step="any">`;
+        html += `
+            <div class="assumption-row">
+                <label for="${id}">${t('field.' + field.path)}${field.hint ? ` <span class="assumption-hint">${t('hint.' + field.path)}</span>` : ''}</label>
+                ${control}
+                <span class="assumption-unit">${fieldUnit(field)}</span>
+            </div>
+        `;
+    });
+    if (currentGroup !== null) html += '</fieldset>';
+    container.innerHTML = html;
+
+    container.querySelectorAll('[data-path]').forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', function() {
+            const field = ASSUMPTION_FIELDS.find(f => f.path === this.dataset.path);
+            const stored = validateAssumption(field,
+                field.options ? this.value : fromDisplayValue(field, parseFloat(this.value)));
+            this.classList.toggle('invalid', stored === null);
+            if (stored === null) return;
+            Engine.writeAssumption(activeAssumptions, field.path, stored);
+            this.classList.toggle('changed',
+                stored !== Engine.readAssumption(Engine.DEFAULT_ASSUMPTIONS, field.path));
+            if (field.onChange) {
+                field.onChange(stored);
+                syncAssumptionsPanel();
+            }
+            update();
+        });
+    });
+
+    syncAssumptionsPanel();
+}
+
+// Copies activeAssumptions into the panel inputs and preset list
+function syncAssumptionsPanel() {
+    document.querySelectorAll('#assumptions-fields [data-path]').forEach(input => {
+        const field = ASSUMPTION_FIELDS.find(f => f.path === input.dataset.path);
+        const value = Engine.readAssumption(activeAssumptions, field.path);
+        input.value = toDisplayValue(field, value);
+        if (!field.options) input.max = toDisplayValue(field, field.max);
+        input.classList.remove('invalid');
+        input.classList.toggle('changed',
+            value !== Engine.readAssumption(Engine.DEFAULT_ASSUMPTIONS, input.dataset.path));
+    });
+
+    const select = document.getElementById('preset-select');
+    const names = Object.keys(loadPresets()).sort();
+    select.innerHTML = `<option value="">${t('preset.default')}</option>` +
+        names.map(name => `<option>${escapeHTML(name)}</option>`).join('');
+    select.value = activePresetName;
+    document.getElementById('preset-name').value = activePresetName;
+}
+
+function applyPreset(name) {
+    const presets = loadPresets();
+    activePresetName = name && presets[name] ? name : '';
+    activeAssumptions = Engine.resolveAssumptions(activePresetName ? presets[activePresetName] : null);
+    writeStorage(ACTIVE_PRESET_STORAGE_KEY, activePresetName);
+    syncAssumptionsPanel();
+    update();
+}
+
+function initializeAssumptions() {
+    renderAssumptionsPanel();
+    applyPreset(readStorage(ACTIVE_PRESET_STORAGE_KEY, ''));
+
+    document.getElementById('preset-select').addEventListener('change', function() {
+        applyPreset(this.value);
+    });
+
+    document.getElementById('preset-save').addEventListener('click', function() {
+        const nameInput = document.getElementById('preset-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.classList.add('invalid');
+            return;
+        }
+        nameInput.classList.remove('invalid');
+        const presets = loadPresets();
+        presets[name] = activeAssumptions;
+        writeStorage(PRESETS_STORAGE_KEY, presets);
+        applyPreset(name);
+    });
+
+    document.getElementById('preset-delete').addEventListener('click', function() {
+        if (!activePresetName) return;
+        const presets = loadPresets();
+        delete presets[activePresetName];
+        writeStorage(PRESETS_STORAGE_KEY, presets);
+        applyPreset('');
+    });
+
+    // Back to the built-in figures, which are no longer the preset's; the
+    // saved preset itself is left untouched
+    document.getElementById('assumptions-reset').addEventListener('click', function() {
+        applyPreset('');
+    });
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
 
 // ============================================
 // TOGGLE BUTTON HANDLERS
 // ============================================
 
+// Toggle groups are radio groups: the checked button is the only tab
+// stop and the arrow keys (plus Home/End) move and select within a group
+function checkToggle(attribute, value) {
+    document.querySelectorAll(`[data-${attribute}]`).forEach(b => {
+        const checked = b.dataset[attribute] === value;
+        b.classList.toggle('active', checked);
+        b.setAttribute('aria-checked', String(checked));
+        b.tabIndex = checked ? 0 : -1;
+    });
+}
+
+function initializeRadioKeys() {
+    const keys = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    document.querySelectorAll('[role="radiogroup"]').forEach(group => {
+        group.addEventListener('keydown', function(e) {
+            const radios = Array.from(group.querySelectorAll('[role="radio"]'));
+            const index = radios.indexOf(document.activeElement);
+            if (index === -1) return;
+            let next;
+            if (e.key in keys) next = (index + keys[e.key] + radios.length) % radios.length;
+            else if (e.key === 'Home') next = 0;
+            else if (e.key === 'End') next = radios.length - 1;
+            else return;
+            e.preventDefault();
+            radios[next].focus();
+            radios[next].click();
+        });
+    });
+}
+
 function initializeToggles() {
     // Curtain type toggles
     document.querySelectorAll('[data-type]').forEach(btn => {
         btn.addEventListener('click', function() {
-            // Remove active from all type buttons
-            document.querySelectorAll('[data-type]').forEach(b =>
-                b.classList.remove('active'));
-            // Add active to clicked button
-            this.classList.add('active');
-            // Update state
+            checkToggle('type', this.dataset.type);
             state.curtainType = this.dataset.type;
             update();
         });
@@ -76,13 +435,32 @@ function initializeToggles() {
     // Cleaning frequency toggles
     document.querySelectorAll('[data-frequency]').forEach(btn => {
         btn.addEventListener('click', function() {
-            // Remove active from all frequency buttons
-            document.querySelectorAll('[data-frequency]').forEach(b =>
-                b.classList.remove('active'));
-            // Add active to clicked button
-            this.classList.add('active');
-            // Update state
             state.cleaningFrequency = this.dataset.frequency;
+            syncControls();
+            update();
+        });
+    });
+
+    // Custom cleanings per year for the main selection; ward lines have their own
+    document.getElementById('custom-cleanings').addEventListener('input', function() {
+        const value = parseCleanings(this.value);
+        this.classList.toggle('invalid', value === null);
+        if (value === null) return;
+        state.cleaningsPerYear = value;
+        update();
+    });
+
+    // Infection-control cleanings for the main selection; ward lines have their own
+    document.getElementById('infection-control').addEventListener('change', function() {
+        state.infectionControl = this.checked;
+        update();
+    });
+
+    // Payback mode toggles
+    document.querySelectorAll('[data-payback]').forEach(btn => {
+        btn.addEventListener('click', function() {
+            checkToggle('payback', this.dataset.payback);
+            state.paybackMode = this.dataset.payback;
             update();
         });
     });
@@ -92,151 +470,533 @@ function initializeToggles() {
         state.quantity = parseInt(this.value) || 0;
         update();
     });
+
+    initializeRadioKeys();
+}
+
+// Marks the buttons and quantity field that match state, e.g. after
+// restoring a shared link
+function syncControls() {
+    checkToggle('type', state.curtainType);
+    checkToggle('frequency', state.cleaningFrequency);
+    checkToggle('payback', state.paybackMode);
+    document.getElementById('quantity').value = state.quantity > 0 ? state.quantity : '';
+    document.getElementById('custom-cleanings-field').hidden = state.cleaningFrequency !== 'custom';
+    document.getElementById('custom-cleanings').value = state.cleaningsPerYear;
+}
+
+// Once the assumptions add infection-control cleanings, each line can be
+// marked as an isolation ward to take them; general wards don't
+function displayInfectionNote() {
+    const extra = Engine.infectionControlCleanings(activeAssumptions);
+    const note = document.getElementById('infection-note');
+    note.hidden = !(extra > 0);
+    note.title = infectionHint();
+    document.getElementById('infection-note-text').textContent = t('wards.infection');
+    document.getElementById('infection-control').checked = state.infectionControl;
+    document.querySelectorAll('.ward-infection').forEach(label => {
+        label.hidden = !(extra > 0);
+        label.title = note.title;
+    });
+}
+
+// What marking a line as an isolation ward adds, e.g. '14 extra changes...'
+function infectionHint() {
+    return t('wards.infectionHint', { count: formatNumber(Engine.infectionControlCleanings(activeAssumptions), 1) });
 }
 
 // ============================================
-// ROI CALCULATION
+// WARD LINES
 // ============================================
 
-function calculateROI() {
-    const qty = state.quantity;
-    if (qty <= 0) {
-        return { years: 0, valid: false };
-    }
+// Named cleaning schedules, and the choices offered per ward, matching
+// the toggle buttons
+const SCHEDULED_FREQUENCIES = ['yearly', 'quarterly', 'monthly', 'weekly', 'daily'];
+const FREQUENCY_OPTIONS = SCHEDULED_FREQUENCIES.concat('custom');
+const MAX_CLEANINGS = 1000;
 
-    const cleaningsPerYear = FREQUENCY_MULTIPLIER[state.cleaningFrequency];
-
-    // Initial investment
-    const silentiaInitial = qty * COSTS.silentiaScreen;
-    const curtainInitial = qty * (state.curtainType === 'textile' ?
-        COSTS.textileCurtain : COSTS.disposableCurtain);
+// Whole number of cleanings per year, at least one, otherwise null
+function parseCleanings(raw) {
+    const value = Number(raw);
+    return Number.isInteger(value) && value >= 1 && value <= MAX_CLEANINGS ? value : null;
+}
 
-    // Annual operating costs
-    let silentiaAnnual = qty * COSTS.silentiaCleaning * cleaningsPerYear;
-    let curtainAnnual;
+// A line's custom count. Scenarios saved before each line had its own
+// count fall back to the shared one they carried, then the default.
+function lineCleanings(line, shared) {
+    return parseCleanings(line.cleaningsPerYear) || parseCleanings(shared) || DEFAULT_CUSTOM_CLEANINGS;
+}
 
-    if (state.curtainType === 'textile') {
-        curtainAnnual = qty * COSTS.textileCleaning * cleaningsPerYear;
-    } else {
-        // Disposable: replaced each cleaning
-        curtainAnnual = qty * COSTS.disposableReplacement * cleaningsPerYear;
-    }
+// 'Weekly', or 'Custom (26/year)' with the count in effect
+function frequencyLabel(frequency, cleanings = state.cleaningsPerYear) {
+    return frequency === 'custom' ? t('frequency.customCount', { count: formatNumber(cleanings) }) : t('frequency.' + frequency);
+}
 
-    // Calculate break-even point
-    // Total cost Silentia: silentiaInitial + silentiaAnnual × years
-    // Total cost Curtain: curtainInitial + curtainAnnual × years
-    // Break even when: silentiaInitial + silentiaAnnual × years = curtainInitial + curtainAnnual × years
-    // Solving for years: years = (silentiaInitial - curtainInitial) / (curtainAnnual - silentiaAnnual)
+function renderWardLines() {
+    const container = document.getElementById('ward-lines');
+    const options = (choices, label, selected) => choices.map(value =>
+        `<option value="${value}"${value === selected ? ' selected' : ''}>${label(value)}</option>`).join('');
 
-    const initialDifference = silentiaInitial - curtainInitial;
-    const annualSavings = curtainAnnual - silentiaAnnual;
+    container.innerHTML = state.wards.map((ward, index) => `
+        <div class="ward-line" data-index="${index}">
+            <input type="text" data-field="name" value="${escapeHTML(ward.name)}" aria-label="${t('wards.name')}" maxlength="40">
+            <select data-field="curtainType" aria-label="${t('section.curtainType')}">
+                ${options(CURTAIN_TYPES, curtainTypeLabel, ward.curtainType)}
+            </select>
+            <select data-field="cleaningFrequency" aria-label="${t('section.cleaning')}">
+                ${options(FREQUENCY_OPTIONS, value => frequencyLabel(value, ward.cleaningsPerYear), ward.cleaningFrequency)}
+            </select>
+            <input type="number" data-field="cleaningsPerYear" value="${ward.cleaningsPerYear}" min="1" max="${MAX_CLEANINGS}" step="1" inputmode="numeric" aria-label="${t('frequency.customLabel')}"${ward.cleaningFrequency === 'custom' ? '' : ' hidden'}>
+            <label class="ward-infection" title="${escapeHTML(infectionHint())}"${Engine.infectionControlCleanings(activeAssumptions) > 0 ? '' : ' hidden'}>
+                <input type="checkbox" data-field="infectionControl"${ward.infectionControl ? ' checked' : ''}>
+                <span>${t('wards.infection')}</span>
+            </label>
+            <input type="number" data-field="quantity" value="${ward.quantity || ''}" placeholder="${t('quantity.short')}" min="0" inputmode="numeric" aria-label="${t('report.quantity')}">
+            <button type="button" class="ward-remove" aria-label="${escapeHTML(t('wards.remove', { name: ward.name }))}">&times;</button>
+        </div>
+    `).join('');
+}
 
-    if (annualSavings <= 0) {
-        // Silentia is more expensive to operate, no break-even
-        return { years: 999, valid: false };
-    }
+function initializeWards() {
+    const container = document.getElementById('ward-lines');
 
-    const breakEvenYears = initialDifference / annualSavings;
+    document.getElementById('ward-add').addEventListener('click', function() {
+        state.wards.push({
+            name: t('wards.defaultName', { number: state.wards.length + 2 }),
+            curtainType: 'disposable',
+            cleaningFrequency: state.cleaningFrequency,
+            cleaningsPerYear: state.cleaningsPerYear,
+            infectionControl: false,
+            quantity: 0
+        });
+        renderWardLines();
+        container.querySelector('.ward-line:last-child [data-field="quantity"]').focus();
+        update();
+    });
 
-    return {
-        years: Math.max(0, breakEvenYears), // Return raw number, not formatted
-        valid: true,
-        savings: annualSavings,
-        initialDiff: initialDifference
+    const onChange = function(e) {
+        const row = e.target.closest('.ward-line');
+        if (!row || !e.target.dataset.field) return;
+        const ward = state.wards[Number(row.dataset.index)];
+        const field = e.target.dataset.field;
+        if (field === 'cleaningsPerYear') {
+            const value = parseCleanings(e.target.value);
+            e.target.classList.toggle('invalid', value === null);
+            if (value === null) return;
+            ward.cleaningsPerYear = value;
+            row.querySelector('option[value="custom"]').textContent = frequencyLabel('custom', value);
+        } else if (field === 'infectionControl') {
+            ward.infectionControl = e.target.checked;
+        } else {
+            ward[field] = field === 'quantity' ? (parseInt(e.target.value) || 0) : e.target.value;
+        }
+        row.querySelector('[data-field="cleaningsPerYear"]').hidden = ward.cleaningFrequency !== 'custom';
+        update();
     };
+    container.addEventListener('input', onChange);
+    container.addEventListener('change', onChange);
+
+    container.addEventListener('click', function(e) {
+        const button = e.target.closest('.ward-remove');
+        if (!button) return;
+        state.wards.splice(Number(button.closest('.ward-line').dataset.index), 1);
+        renderWardLines();
+        update();
+    });
+
+    renderWardLines();
 }
 
 // ============================================
-// ENVIRONMENTAL IMPACT CALCULATION
+// SHAREABLE LINKS
 // ============================================
 
-function calculateResources() {
-    const qty = state.quantity;
-    if (qty <= 0) {
-        return null;
+// The scenario lives in the query string, e.g.
+// ?type=textile&freq=weekly&qty=24&ward=Isolation|disposable|monthly|6&a.costs.textileCleaning=60
+// A 'custom' main line takes its count from cpy (cleanings per year); a
+// custom ward carries its own, as in ward=Isolation|textile|custom:40|6.
+// Isolation wards are marked with iso=1 for the main line and a trailing
+// |iso on a ward; older links listed the other lines in icoff instead.
+// Only assumptions that differ from the defaults are written, always in
+// euros. Language and currency ride along as lang, cur and rate.
+
+const CURTAIN_TYPES = ['textile', 'disposable'];
+const MAX_QUANTITY = 100000;
+
+// Whole, non-negative and within reason, otherwise null
+function parseQuantity(raw) {
+    const value = Number(raw);
+    return Number.isInteger(value) && value >= 0 && value <= MAX_QUANTITY ? value : null;
+}
+
+function encodeShareParams() {
+    const params = new URLSearchParams();
+    params.set('type', state.curtainType);
+    params.set('freq', state.cleaningFrequency);
+    if (state.quantity > 0) params.set('qty', state.quantity);
+    if (state.cleaningFrequency === 'custom') params.set('cpy', state.cleaningsPerYear);
+    if (state.paybackMode !== 'simple') params.set('payback', state.paybackMode);
+
+    state.wards.forEach(ward => {
+        const frequency = ward.cleaningFrequency === 'custom' ?
+            'custom:' + ward.cleaningsPerYear : ward.cleaningFrequency;
+        const fields = [ward.name, ward.curtainType, frequency, ward.quantity];
+        params.append('ward', fields.concat(ward.infectionControl ? 'iso' : []).join('|'));
+    });
+    if (state.infectionControl) params.set('iso', '1');
+
+    ASSUMPTION_FIELDS.forEach(field => {
+        const value = Engine.readAssumption(activeAssumptions, field.path);
+        if (value !== Engine.readAssumption(Engine.DEFAULT_ASSUMPTIONS, field.path)) {
+            params.set('a.' + field.path, value);
+        }
+    });
+
+    if (settings.language !== I18n.DEFAULT_LANGUAGE) params.set('lang', settings.language);
+    if (settings.currency !== I18n.DEFAULT_CURRENCY) {
+        params.set('cur', settings.currency);
+        if (exchangeRate() !== I18n.CURRENCIES[settings.currency]) params.set('rate', exchangeRate());
     }
+    return params;
+}
 
-    const cleaningsPerYear = FREQUENCY_MULTIPLIER[state.cleaningFrequency];
+// Applies whatever valid parameters the link carries; anything missing,
+// unknown or out of range keeps its default. Returns false for a link
+// without scenario parameters.
+function applyShareParams(params) {
+    if (!params.has('type') && !params.has('freq') && !params.has('qty')) return false;
 
-    if (state.curtainType === 'textile') {
-        // Textile curtains: kWh and water
-        const curtainKWh = qty * ENVIRONMENTAL.textile.kWhPerCleaning * cleaningsPerYear;
-        const curtainWater = qty * ENVIRONMENTAL.textile.waterPerCleaning * cleaningsPerYear;
+    state.curtainType = CURTAIN_TYPES.includes(params.get('type')) ? params.get('type') : 'textile';
+    state.cleaningFrequency = FREQUENCY_OPTIONS.includes(params.get('freq')) ? params.get('freq') : 'quarterly';
+    state.quantity = parseQuantity(params.get('qty')) || 0;
+    state.cleaningsPerYear = lineCleanings({}, params.get('cpy'));
+    state.paybackMode = params.get('payback') === 'discounted' ? 'discounted' : 'simple';
 
-        const silentiaKWh = qty * ENVIRONMENTAL.silentia.kWhPerCleaning * cleaningsPerYear;
-        const silentiaWater = qty * ENVIRONMENTAL.silentia.waterPerCleaning * cleaningsPerYear;
-        const silentiaDisinfectant = qty * ENVIRONMENTAL.silentia.disinfectantPerCleaning * cleaningsPerYear;
-        const silentiaWipes = qty * ENVIRONMENTAL.silentia.wipesPerCleaning * cleaningsPerYear;
+    // Older links: every line took part except those in icoff, counting
+    // the main line as 0 and the wards as written, invalid ones included
+    const infectionOff = params.has('icoff') ? params.get('icoff').split(',') : null;
+    const legacyInfection = index => !infectionOff.includes(String(index));
 
-        return {
-            type: 'textile',
-            curtainKWh: curtainKWh.toFixed(0),
-            curtainWater: curtainWater.toFixed(0),
-            silentiaKWh: silentiaKWh.toFixed(0),
-            silentiaWater: silentiaWater.toFixed(0),
-            silentiaDisinfectant: parseFloat(silentiaDisinfectant.toFixed(2)),
-            silentiaWipes: parseFloat(silentiaWipes.toFixed(2)),
-            savedKWh: (curtainKWh - silentiaKWh).toFixed(0),
-            savedWater: (curtainWater - silentiaWater).toFixed(0)
-        };
-    } else {
-        // Disposable curtains: plastic waste
-        const plasticWaste = qty * ENVIRONMENTAL.disposable.plasticPerUnit * cleaningsPerYear;
-        const silentiaDisinfectant = qty * ENVIRONMENTAL.silentia.disinfectantPerCleaning * cleaningsPerYear;
-        const silentiaWipes = qty * ENVIRONMENTAL.silentia.wipesPerCleaning * cleaningsPerYear;
+    // Name may itself contain '|', so read the fixed fields from the end.
+    // Older links have a bare 'custom' ward, which shared cpy.
+    state.wards = params.getAll('ward').map((raw, index) => {
+        const parts = raw.split('|');
+        let infectionControl = parts[parts.length - 1] === 'iso';
+        if (infectionControl) parts.pop();
+        if (infectionOff) infectionControl = legacyInfection(index + 1);
+        if (parts.length < 4) return null;
+        const quantity = parseQuantity(parts.pop());
+        const [cleaningFrequency, count] = parts.pop().split(':');
+        const curtainType = parts.pop();
+        if (quantity === null || !CURTAIN_TYPES.includes(curtainType) || !FREQUENCY_OPTIONS.includes(cleaningFrequency)) return null;
+        const cleaningsPerYear = lineCleanings({ cleaningsPerYear: count }, params.get('cpy'));
+        return { name: parts.join('|').slice(0, 40), curtainType, cleaningFrequency, cleaningsPerYear, infectionControl, quantity };
+    }).filter(Boolean);
+    state.infectionControl = infectionOff ? legacyInfection(0) : params.get('iso') === '1';
 
-        return {
-            type: 'disposable',
-            plasticWaste: plasticWaste.toFixed(0),
-            silentiaDisinfectant: parseFloat(silentiaDisinfectant.toFixed(2)),
-            silentiaWipes: parseFloat(silentiaWipes.toFixed(2)),
-            savedPlastic: plasticWaste.toFixed(0) // Silentia produces no plastic waste
-        };
+    // Shared assumptions are layered over the defaults, not the local preset.
+    // The address bar carries the scenario too, so a reload lands here with
+    // the preset's own figures: then the preset stays selected.
+    const shared = Engine.resolveAssumptions();
+    ASSUMPTION_FIELDS.forEach(field => {
+        if (!params.has('a.' + field.path)) return;
+        const value = validateAssumption(field, params.get('a.' + field.path));
+        if (value !== null) Engine.writeAssumption(shared, field.path, value);
+    });
+    if (!sameAssumptions(shared, activeAssumptions)) activePresetName = '';
+    activeAssumptions = shared;
+    return true;
+}
+
+// Whether two assumption sets agree on every editable field
+function sameAssumptions(a, b) {
+    return ASSUMPTION_FIELDS.every(field =>
+        Engine.readAssumption(a, field.path) === Engine.readAssumption(b, field.path));
+}
+
+function shareURL() {
+    const url = new URL(window.location.href);
+    url.search = encodeShareParams().toString();
+    url.hash = '';
+    return url.toString();
+}
+
+// Parameters that set up an embedded calculator (see EMBEDDING). They
+// describe the iframe, not the scenario, so shared links leave them out.
+const EMBED_PARAMS = ['embed', 'origin', 'hide'];
+
+// Keeps the address bar in step with the calculator so a reload or a
+// bookmark returns to the same scenario, still embedded if it was
+function writeShareURL() {
+    if (!window.history || !window.history.replaceState) return;
+    const current = new URLSearchParams(window.location.search);
+    const url = new URL(shareURL());
+    EMBED_PARAMS.forEach(name => {
+        if (current.has(name)) url.searchParams.set(name, current.get(name));
+    });
+    window.history.replaceState(null, '', url.toString());
+}
+
+function initializeShareLinks(params) {
+    if (applyShareParams(params)) {
+        syncControls();
+        renderWardLines();
+        syncAssumptionsPanel();
     }
+
+    document.getElementById('share-link').addEventListener('click', function() {
+        const url = shareURL();
+        const status = document.getElementById('share-status');
+        const copied = () => { status.textContent = t('actions.copied'); };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(copied, () => window.prompt(t('actions.copyPrompt'), url));
+        } else {
+            window.prompt(t('actions.copyPrompt'), url);
+        }
+    });
+}
+
+// ============================================
+// CALCULATION
+// ============================================
+
+// The main selection plus any ward lines, as an engine scenario. Also
+// used for saved comparison scenarios, which share the state's shape.
+function stateScenario(source = state) {
+    const main = {
+        name: source.wards.length ? t('line.main') : '',
+        curtainType: source.curtainType,
+        cleaningFrequency: source.cleaningFrequency,
+        quantity: source.quantity
+    };
+    // Saved scenarios from before per-line counts carry one shared
+    // customCleanings; lines without an isolation choice are general wards
+    main.cleaningsPerYear = lineCleanings(source, source.customCleanings);
+    main.infectionControl = source.infectionControl === true;
+    return {
+        lines: [main].concat(source.wards.map(ward => Object.assign({}, ward, {
+            cleaningsPerYear: lineCleanings(ward, source.customCleanings),
+            infectionControl: ward.infectionControl === true
+        })))
+    };
+}
+
+// Runs the engine for the current state
+function computeState() {
+    return Engine.compute(stateScenario(), activeAssumptions);
+}
+
+function calculateROI() {
+    return computeState().roi;
+}
+
+function calculateResources() {
+    return computeState().resources;
 }
 
 // ============================================
 // CHART DISPLAY FUNCTION
 // ============================================
 
-function displayChart() {
-    const qty = state.quantity;
-    const chartElement = document.getElementById('chart-output');
+function curtainTypeLabel(type) {
+    return t('type.' + type);
+}
 
-    if (qty <= 0) {
-        chartElement.innerHTML = '<p>Enter quantity and click Calculate to see chart</p>';
-        return;
-    }
+// Locale-aware number; `|| 0` keeps rounded negatives from showing as -0
+function formatNumber(value, maxDigits = 0, minDigits = 0) {
+    const rounded = parseFloat(value.toFixed(maxDigits)) || 0;
+    return rounded.toLocaleString(currentLocale(), {
+        minimumFractionDigits: minDigits,
+        maximumFractionDigits: maxDigits
+    });
+}
+
+function formatPercent(fraction) {
+    return new Intl.NumberFormat(currentLocale(), {
+        style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1
+    }).format(fraction);
+}
+
+// Euro amount converted to the display currency, whole units unless
+// `maxDigits` asks for cents
+function formatCurrency(value, maxDigits = 0) {
+    return new Intl.NumberFormat(currentLocale(), {
+        style: 'currency', currency: settings.currency, minimumFractionDigits: 0, maximumFractionDigits: maxDigits
+    }).format(parseFloat((value * exchangeRate()).toFixed(maxDigits)) || 0);
+}
+
+// Short axis labels: €950, €12K, €1.2M
+function formatCurrencyCompact(value) {
+    if (value * exchangeRate() < 1e3) return formatCurrency(value);
+    return new Intl.NumberFormat(currentLocale(), {
+        style: 'currency', currency: settings.currency, notation: 'compact', maximumFractionDigits: 1
+    }).format(value * exchangeRate());
+}
+
+// '€', 'kr', '£' ... as the selected locale writes it
+function currencySymbol() {
+    const parts = new Intl.NumberFormat(currentLocale(), { style: 'currency', currency: settings.currency }).formatToParts(0);
+    return parts.find(part => part.type === 'currency').value;
+}
+
+// Calendar date at which a break-even of `years` is reached, counted from today
+function breakEvenDate(years, from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setDate(date.getDate() + Math.round(years * 365));
+    return date;
+}
+
+function formatBreakEvenDate(date) {
+    return date.toLocaleDateString(currentLocale(), { month: 'short', year: 'numeric' });
+}
 
-    const cleaningsPerYear = FREQUENCY_MULTIPLIER[state.cleaningFrequency];
-    const curtainTypeName = state.curtainType === 'textile' ? 'Textile' : 'Disposable';
+// Chart geometry (SVG user units)
+const TIMELINE_CHART = { width: 340, height: 200, left: 44, right: 12, top: 14, bottom: 26 };
 
-    // Calculate costs
-    const silentiaInitial = qty * COSTS.silentiaScreen;
-    const curtainInitial = qty * (state.curtainType === 'textile' ? COSTS.textileCurtain : COSTS.disposableCurtain);
+// Inline SVG line chart of cumulative cost per year, with the break-even marked
+function buildTimelineSVG(result, curtainTypeName) {
+    const c = TIMELINE_CHART;
+    const timeline = result.timeline;
+    const lastYear = timeline[timeline.length - 1].year;
+    const maxValue = Math.max(...timeline.map(p => Math.max(p.silentia, p.curtain))) || 1;
+    const plotWidth = c.width - c.left - c.right;
+    const plotHeight = c.height - c.top - c.bottom;
 
-    const silentiaAnnual = qty * COSTS.silentiaCleaning * cleaningsPerYear;
-    let curtainAnnual;
-    if (state.curtainType === 'textile') {
-        curtainAnnual = qty * COSTS.textileCleaning * cleaningsPerYear;
+    const x = (year) => c.left + (year / lastYear) * plotWidth;
+    const y = (value) => c.top + plotHeight - (value / maxValue) * plotHeight;
+    const points = (key) => timeline.map(p => `${x(p.year).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+
+    // Horizontal grid lines with value labels
+    let grid = '';
+    [0, 0.25, 0.5, 0.75, 1].forEach(step => {
+        const gy = y(maxValue * step).toFixed(1);
+        grid += `<line class="timeline-grid" x1="${c.left}" y1="${gy}" x2="${c.width - c.right}" y2="${gy}"/>`;
+        grid += `<text class="timeline-axis" x="${c.left - 6}" y="${gy}" text-anchor="end" dominant-baseline="middle">${formatCurrencyCompact(maxValue * step)}</text>`;
+    });
+
+    // Year labels along the bottom
+    let years = '';
+    timeline.forEach(p => {
+        years += `<text class="timeline-axis" x="${x(p.year).toFixed(1)}" y="${c.height - 8}" text-anchor="middle">${p.year}</text>`;
+    });
+
+    // Break-even marker where the cumulative lines cross
+    let marker = '';
+    const roi = result.roi;
+    const breakEvenText = roi.valid && roi.years <= lastYear ?
+        t('chart.breakEven', { date: formatBreakEvenDate(breakEvenDate(roi.years)) }) :
+        t('chart.noBreakEven', { years: lastYear });
+    if (roi.valid && roi.years <= lastYear) {
+        const mx = x(roi.years);
+        const my = y(result.costs.silentiaInitial + result.costs.silentiaAnnual * roi.years);
+        const anchor = mx > c.left + plotWidth * 0.6 ? 'end' : 'start';
+        const offset = anchor === 'end' ? -8 : 8;
+        marker = `
+            <line class="timeline-marker-line" x1="${mx.toFixed(1)}" y1="${c.top}" x2="${mx.toFixed(1)}" y2="${c.top + plotHeight}"/>
+            <circle class="timeline-marker" cx="${mx.toFixed(1)}" cy="${my.toFixed(1)}" r="5"/>
+            <text class="timeline-marker-label" x="${(mx + offset).toFixed(1)}" y="${(my - 10).toFixed(1)}" text-anchor="${anchor}">${breakEvenText}</text>
+        `;
     } else {
-        curtainAnnual = qty * COSTS.disposableReplacement * cleaningsPerYear;
+        marker = `<text class="timeline-marker-label" x="${c.left + 8}" y="${c.top + 10}">${breakEvenText}</text>`;
     }
 
-    // 10-year total cost
-    const silentiaTotal = silentiaInitial + (silentiaAnnual * SILENTIA_LIFESPAN_YEARS);
-    const curtainTotal = curtainInitial + (curtainAnnual * SILENTIA_LIFESPAN_YEARS);
+    // Invisible hover targets, one column per year
+    const columnWidth = plotWidth / lastYear;
+    let hoverTargets = '';
+    timeline.forEach(p => {
+        hoverTargets += `<rect class="timeline-hover" data-year="${p.year}" x="${(x(p.year) - columnWidth / 2).toFixed(1)}" y="${c.top}" width="${columnWidth.toFixed(1)}" height="${plotHeight}"/>`;
+    });
+
+    // Text alternative: where both lines end and where they cross
+    const last = timeline[timeline.length - 1];
+    const description = t('a11y.timeline', {
+        years: lastYear,
+        silentia: formatCurrency(last.silentia),
+        curtain: curtainTypeName,
+        curtainValue: formatCurrency(last.curtain),
+        breakEven: breakEvenText
+    });
+
+    return `
+        <svg class="timeline-chart" viewBox="0 0 ${c.width} ${c.height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="${escapeHTML(description)}">
+            ${grid}
+            ${years}
+            <polyline class="timeline-line curtain" points="${points('curtain')}"/>
+            <polyline class="timeline-line silentia" points="${points('silentia')}"/>
+            ${marker}
+            <line class="timeline-guide" x1="0" y1="${c.top}" x2="0" y2="${c.top + plotHeight}" visibility="hidden"/>
+            ${hoverTargets}
+        </svg>
+        <div class="timeline-tooltip" hidden aria-hidden="true"></div>
+        <div class="timeline-axis-title" aria-hidden="true">${t('chart.year')}</div>
+    `;
+}
+
+// Shows the hovered year's figures next to a guide line
+function attachTimelineHover(chartElement, result, curtainTypeName) {
+    const svg = chartElement.querySelector('.timeline-chart');
+    const guide = svg.querySelector('.timeline-guide');
+    const tooltip = chartElement.querySelector('.timeline-tooltip');
+
+    const show = (target) => {
+        const point = result.timeline[Number(target.dataset.year)];
+        const gx = parseFloat(target.getAttribute('x')) + parseFloat(target.getAttribute('width')) / 2;
+        guide.setAttribute('x1', gx);
+        guide.setAttribute('x2', gx);
+        guide.setAttribute('visibility', 'visible');
+
+        tooltip.innerHTML = `
+            <strong>${t('chart.yearNumber', { year: point.year })}</strong>
+            <span><span class="chart-legend-color silentia"></span>Silentia ${formatCurrency(point.silentia)}</span>
+            <span><span class="chart-legend-color curtain"></span>${curtainTypeName} ${formatCurrency(point.curtain)}</span>
+        `;
+        tooltip.hidden = false;
+        // Keep the tooltip inside the chart: flip to the left past the midpoint
+        const ratio = gx / TIMELINE_CHART.width;
+        tooltip.style.left = ratio > 0.5 ? '' : `calc(${ratio * 100}% + 8px)`;
+        tooltip.style.right = ratio > 0.5 ? `calc(${(1 - ratio) * 100}% + 8px)` : '';
+    };
+
+    const hide = () => {
+        guide.setAttribute('visibility', 'hidden');
+        tooltip.hidden = true;
+    };
+
+    svg.querySelectorAll('.timeline-hover').forEach(target => {
+        target.addEventListener('mouseenter', () => show(target));
+        target.addEventListener('click', () => show(target));
+    });
+    svg.addEventListener('mouseleave', hide);
+}
+
+function displayChart(result = computeState()) {
+    const chartElement = document.getElementById('chart-output');
+    if (!chartElement) return;
+
+    if (!result.valid) {
+        chartElement.innerHTML = `<p>${t('chart.empty')}</p>`;
+        return;
+    }
 
-    // Format currency
-    const formatCurrency = (value) => '€' + value.toLocaleString('en-US');
+    const curtainTypeName = curtainTypeLabel(result.curtainType);
+    const costs = result.costs;
 
-    // Create chart bars
-    const createBarRow = (label, silentiaValue, curtainValue) => {
+    // Create chart bars; each section is one image to screen readers,
+    // described by its title and both values
+    const createBarSection = (title, silentiaValue, curtainValue) => {
         const maxValue = Math.max(silentiaValue, curtainValue);
         const silentiaWidth = maxValue > 0 ? (silentiaValue / maxValue) * 100 : 0;
         const curtainWidth = maxValue > 0 ? (curtainValue / maxValue) * 100 : 0;
+        const description = t('a11y.bars', {
+            title: title,
+            silentia: formatCurrency(silentiaValue),
+            curtain: curtainTypeName,
+            curtainValue: formatCurrency(curtainValue)
+        });
 
         return `
+        <div class="chart-section" role="img" aria-label="${escapeHTML(description)}">
+            <div class="chart-section-title">${title}</div>
             <div class="chart-bar-row">
                 <span class="chart-bar-label">Silentia</span>
                 <div class="chart-bar-wrapper">
@@ -251,57 +1011,57 @@ function displayChart() {
                 </div>
                 <span class="chart-bar-value">${formatCurrency(curtainValue)}</span>
             </div>
+        </div>
         `;
     };
 
     chartElement.innerHTML = `
-        <div class="chart-section">
-            <div class="chart-section-title">Initial Investment</div>
-            ${createBarRow('Initial', silentiaInitial, curtainInitial)}
-        </div>
-        <div class="chart-section">
-            <div class="chart-section-title">Annual Operating Cost</div>
-            ${createBarRow('Annual', silentiaAnnual, curtainAnnual)}
+        <div class="chart-section timeline-section">
+            ${buildTimelineSVG(result, curtainTypeName)}
         </div>
-        <div class="chart-section">
-            <div class="chart-section-title">10-Year Total Cost</div>
-            ${createBarRow('Total', silentiaTotal, curtainTotal)}
-        </div>
-        <div class="chart-legend">
+        ${createBarSection(t('chart.initial'), costs.silentiaInitial, costs.curtainInitial)}
+        ${createBarSection(t('chart.annual'), costs.silentiaAnnual, costs.curtainAnnual)}
+        ${createBarSection(t('chart.total', { years: result.lifespanYears }), costs.silentiaTotal, costs.curtainTotal)}
+        <div class="chart-legend" aria-hidden="true">
             <div class="chart-legend-item">
                 <div class="chart-legend-color silentia"></div>
                 <span>Silentia</span>
             </div>
             <div class="chart-legend-item">
                 <div class="chart-legend-color curtain"></div>
-                <span>${curtainTypeName} Curtain</span>
+                <span>${t('chart.legend.' + result.curtainType)}</span>
             </div>
         </div>
     `;
+
+    attachTimelineHover(chartElement, result, curtainTypeName);
 }
 
 // ============================================
 // DISPLAY UPDATE FUNCTIONS
 // ============================================
 
-function displayResults() {
-    const roi = calculateROI();
-    const resources = calculateResources();
+function displayResults(result = computeState()) {
+    const roi = state.paybackMode === 'discounted' ? result.finance.discountedPayback : result.roi;
+    const resources = result.resources;
 
     // Update ROI display
     const roiElement = document.getElementById('roi-years');
     const yearLabelElement = document.querySelector('.label');
 
-    if (roi.valid && roi.years !== 999) {
+    // Unit under the number, in the plural form the language uses for `count`
+    const unit = (name, count) => t('roi.unit.' + name, { count });
+
+    if (roi.valid && roi.years !== Engine.NO_BREAK_EVEN) {
         const years = roi.years;
         if (years > SILENTIA_LIFESPAN_YEARS) {
             roiElement.textContent = '10+';
-            yearLabelElement.textContent = 'YEARS';
+            yearLabelElement.textContent = unit('year', 10);
         } else if (years < 1/52) {
             // Convert to days when less than 1 week
-            const days = Math.round(years * 365);
-            roiElement.textContent = Math.max(1, days).toString();
-            yearLabelElement.textContent = days === 1 ? 'DAY' : 'DAYS';
+            const days = Math.max(1, Math.round(years * 365));
+            roiElement.textContent = days.toString();
+            yearLabelElement.textContent = unit('day', days);
         } else if (years < 1/12) {
             // Convert to weeks when less than 1 month
             const weeks = Math.round(years * 52);
@@ -309,14 +1069,14 @@ function displayResults() {
             if (weeks >= 4) {
                 const months = Math.round(years * 12);
                 roiElement.textContent = months.toString();
-                yearLabelElement.textContent = months === 1 ? 'MONTH' : 'MONTHS';
+                yearLabelElement.textContent = unit('month', months);
             } else if (weeks < 1) {
-                const days = Math.round(years * 365);
-                roiElement.textContent = Math.max(1, days).toString();
-                yearLabelElement.textContent = days === 1 ? 'DAY' : 'DAYS';
+                const days = Math.max(1, Math.round(years * 365));
+                roiElement.textContent = days.toString();
+                yearLabelElement.textContent = unit('day', days);
             } else {
                 roiElement.textContent = weeks.toString();
-                yearLabelElement.textContent = weeks === 1 ? 'WEEK' : 'WEEKS';
+                yearLabelElement.textContent = unit('week', weeks);
             }
         } else if (years < 1) {
             // Convert to months when less than 1 year
@@ -324,10 +1084,10 @@ function displayResults() {
             // If it rounds to 12 months, show as 1 year instead
             if (months >= 12) {
                 roiElement.textContent = '1';
-                yearLabelElement.textContent = 'YEAR';
+                yearLabelElement.textContent = unit('year', 1);
             } else {
                 roiElement.textContent = months.toString();
-                yearLabelElement.textContent = months === 1 ? 'MONTH' : 'MONTHS';
+                yearLabelElement.textContent = unit('month', months);
             }
         } else {
             // Display years - remove decimal if whole number
@@ -336,160 +1096,1347 @@ function displayResults() {
                 // It's essentially a whole number
                 roiElement.textContent = Math.round(roundedYears).toString();
             } else {
-                roiElement.textContent = roundedYears.toFixed(1);
+                roiElement.textContent = formatNumber(roundedYears, 1, 1);
             }
             // Update label: "YEAR" if 1 or less, "YEARS" if more than 1
-            yearLabelElement.textContent = roundedYears > 1 ? 'YEARS' : 'YEAR';
+            yearLabelElement.textContent = unit('year', roundedYears > 1 ? roundedYears : 1);
         }
-    } else if (roi.years === 999) {
-        roiElement.textContent = 'N/A';
-        yearLabelElement.textContent = 'YEARS';
+    } else if (roi.years === Engine.NO_BREAK_EVEN) {
+        roiElement.textContent = t('roi.na');
+        yearLabelElement.textContent = unit('year', 10);
     } else {
         roiElement.textContent = '--';
-        yearLabelElement.textContent = 'YEAR';
+        yearLabelElement.textContent = unit('year', 1);
     }
 
+    displayFinance(result);
+    displayLabour(result);
+    displayCarbon(result);
+
     // Update Resources display
     const resourcesElement = document.getElementById('resources-output');
 
     if (!resources) {
-        resourcesElement.innerHTML = '<p>Enter quantity to calculate</p>';
+        resourcesElement.innerHTML = `<p>${t('results.empty')}</p>`;
         return;
     }
 
-    const curtainTypeName = state.curtainType === 'textile' ? 'Textile' : 'Disposable';
-
-    let chartHTML = '';
+    const curtainTypeName = curtainTypeLabel(result.curtainType);
 
-    if (resources.type === 'textile') {
-        const curtainTotal = Number(resources.curtainKWh) + Number(resources.curtainWater);
-        const silentiaTotal = Number(resources.silentiaDisinfectant) + Number(resources.silentiaWipes);
-        const maxTotal = Math.max(curtainTotal, silentiaTotal);
+    // Engine figures are raw numbers; round them for display
+    const whole = (value) => formatNumber(value);
+    const decimal = (value) => formatNumber(value, 2);
 
-        // Bar widths scaled relative to each other
-        const curtainBarWidth = maxTotal > 0 ? (curtainTotal / maxTotal) * 100 : 0;
-        const silentiaBarWidth = maxTotal > 0 ? (silentiaTotal / maxTotal) * 100 : 0;
+    // Textile lines use energy and water, disposable lines produce plastic
+    const curtainSegments = [];
+    if (result.curtainType !== 'disposable') {
+        curtainSegments.push({ cls: 'seg-energy', value: resources.curtainKWh, text: whole(resources.curtainKWh), unit: t('resource.kWh') });
+        curtainSegments.push({ cls: 'seg-water', value: resources.curtainWater, text: whole(resources.curtainWater), unit: t('resource.water') });
+    }
+    if (result.curtainType !== 'textile') {
+        const cls = result.curtainType === 'mixed' ? 'seg-plastic seg-plastic-mixed' : 'seg-plastic';
+        curtainSegments.push({ cls: cls, value: resources.plasticWaste, text: whole(resources.plasticWaste), unit: t('resource.plastic') });
+    }
+    const silentiaSegments = [
+        { cls: 'seg-wipes', value: resources.silentiaWipes, text: decimal(resources.silentiaWipes), unit: t('resource.wipes') },
+        { cls: 'seg-disinfectant', value: resources.silentiaDisinfectant, text: decimal(resources.silentiaDisinfectant), unit: t('resource.disinfectant') }
+    ];
 
-        // Segment percentages within each bar
-        const curtainEnergyPct = curtainTotal > 0 ? (Number(resources.curtainKWh) / curtainTotal) * 100 : 0;
-        const curtainWaterPct = curtainTotal > 0 ? (Number(resources.curtainWater) / curtainTotal) * 100 : 0;
-        const silentiaDisinfPct = silentiaTotal > 0 ? (Number(resources.silentiaDisinfectant) / silentiaTotal) * 100 : 0;
-        const silentiaWipesPct = silentiaTotal > 0 ? (Number(resources.silentiaWipes) / silentiaTotal) * 100 : 0;
+    const sum = (segments) => segments.reduce((total, seg) => total + seg.value, 0);
+    const curtainTotal = sum(curtainSegments);
+    const silentiaTotal = sum(silentiaSegments);
+    const maxTotal = Math.max(curtainTotal, silentiaTotal);
 
-        chartHTML = `
-            <div class="stacked-bar-section">
-                <div class="stacked-bar-details">
-                    <span class="stacked-bar-label">${curtainTypeName}:</span>
-                    <span class="seg-detail"><span class="seg-dot seg-energy"></span>${resources.curtainKWh} <span class="unit-label">kWh</span></span>
-                    <span class="seg-detail"><span class="seg-dot seg-water"></span>${resources.curtainWater} <span class="unit-label">L waste water</span></span>
-                </div>
-                <div class="stacked-bar-row">
-                    <div class="stacked-bar-track">
-                        <div class="stacked-bar-wrapper" style="width: ${curtainBarWidth}%">
-                            <div class="stacked-segment seg-energy" style="width: ${curtainEnergyPct}%"></div>
-                            <div class="stacked-segment seg-water" style="width: ${curtainWaterPct}%"></div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            <div class="stacked-bar-section">
+    // Bar widths scaled relative to each other, segments as a share of their own bar
+    const createStackedBar = (label, segments, total) => {
+        const barWidth = maxTotal > 0 ? (total / maxTotal) * 100 : 0;
+        const description = t('a11y.resources', {
+            label: label,
+            figures: segments.map(seg => `${seg.text} ${seg.unit}`).join(', ')
+        });
+        return `
+            <div class="stacked-bar-section" role="img" aria-label="${escapeHTML(description)}">
                 <div class="stacked-bar-details">
-                    <span class="stacked-bar-label">Silentia:</span>
-                    <span class="seg-detail"><span class="seg-dot seg-wipes"></span>${resources.silentiaWipes} <span class="unit-label">kg wipes</span></span>
-                    <span class="seg-detail"><span class="seg-dot seg-disinfectant"></span>${resources.silentiaDisinfectant} <span class="unit-label">L disinfectant</span></span>
+                    <span class="stacked-bar-label">${label}:</span>
+                    ${segments.map(seg => `<span class="seg-detail"><span class="seg-dot ${seg.cls}"></span>${seg.text} <span class="unit-label">${seg.unit}</span></span>`).join('')}
                 </div>
                 <div class="stacked-bar-row">
                     <div class="stacked-bar-track">
-                        <div class="stacked-bar-wrapper" style="width: ${silentiaBarWidth}%">
-                            <div class="stacked-segment seg-wipes" style="width: ${silentiaWipesPct}%"></div>
-                            <div class="stacked-segment seg-disinfectant" style="width: ${silentiaDisinfPct}%"></div>
+                        <div class="stacked-bar-wrapper" style="width: ${barWidth}%">
+                            ${segments.map(seg => `<div class="stacked-segment ${seg.cls}" style="width: ${total > 0 ? (seg.value / total) * 100 : 0}%"></div>`).join('')}
                         </div>
                     </div>
                 </div>
             </div>
         `;
-    } else {
-        const curtainTotal = Number(resources.plasticWaste);
-        const silentiaTotal = Number(resources.silentiaDisinfectant) + Number(resources.silentiaWipes);
-        const maxTotal = Math.max(curtainTotal, silentiaTotal);
+    };
 
-        const curtainBarWidth = maxTotal > 0 ? (curtainTotal / maxTotal) * 100 : 0;
-        const silentiaBarWidth = maxTotal > 0 ? (silentiaTotal / maxTotal) * 100 : 0;
+    resourcesElement.innerHTML =
+        createStackedBar(curtainTypeName, curtainSegments, curtainTotal) +
+        createStackedBar('Silentia', silentiaSegments, silentiaTotal);
+}
 
-        const silentiaDisinfPct = silentiaTotal > 0 ? (Number(resources.silentiaDisinfectant) / silentiaTotal) * 100 : 0;
-        const silentiaWipesPct = silentiaTotal > 0 ? (Number(resources.silentiaWipes) / silentiaTotal) * 100 : 0;
+// kg below a tonne, tonnes with one decimal above
+function formatMass(kg) {
+    if (Math.abs(kg) >= 1000) return formatNumber(kg / 1000, 1, 1) + ' t';
+    return formatNumber(kg) + ' kg';
+}
 
-        chartHTML = `
-            <div class="stacked-bar-section">
-                <div class="stacked-bar-details">
-                    <span class="stacked-bar-label">${curtainTypeName}:</span>
-                    <span class="seg-detail"><span class="seg-dot seg-plastic"></span>${resources.plasticWaste} <span class="unit-label">kg plastic</span></span>
-                </div>
-                <div class="stacked-bar-row">
-                    <div class="stacked-bar-track">
-                        <div class="stacked-bar-wrapper" style="width: ${curtainBarWidth}%">
-                            <div class="stacked-segment seg-plastic" style="width: 100%"></div>
-                        </div>
+// Annual and lifespan CO2e for each option, and the reduction
+function displayCarbon(result) {
+    const carbonElement = document.getElementById('carbon-output');
+    if (!result.valid) {
+        carbonElement.innerHTML = '';
+        return;
+    }
+
+    const carbon = result.carbon;
+    const reduction = carbon.lifespanReduction >= 0 ?
+        t('carbon.less', { mass: formatMass(carbon.lifespanReduction), years: result.lifespanYears, percent: Math.round(carbon.lifespanReductionPct) }) :
+        t('carbon.more', { mass: formatMass(-carbon.lifespanReduction), years: result.lifespanYears });
+
+    carbonElement.innerHTML = `
+        <table class="breakdown-table carbon-table">
+            <thead>
+                <tr><th>${t('carbon.heading')}</th><th class="num">${curtainTypeLabel(result.curtainType)}</th><th class="num">Silentia</th></tr>
+            </thead>
+            <tbody>
+                <tr><td>${t('carbon.perYear')}</td><td class="num">${formatMass(carbon.curtainAnnual)}</td><td class="num">${formatMass(carbon.silentiaAnnual)}</td></tr>
+                <tr><td>${t('carbon.lifespan', { years: result.lifespanYears })}</td><td class="num">${formatMass(carbon.curtainLifespan)}</td><td class="num">${formatMass(carbon.silentiaLifespan)}</td></tr>
+            </tbody>
+        </table>
+        <p class="carbon-reduction">${reduction}</p>
+    `;
+}
+
+// Staff hours per year for each option and the time saved
+function displayLabour(result) {
+    const labourElement = document.getElementById('labour-output');
+    if (!result.valid) {
+        labourElement.innerHTML = `<p>${t('results.empty')}</p>`;
+        return;
+    }
+
+    const labour = result.labour;
+    const maxHours = Math.max(labour.curtainHours, labour.silentiaHours);
+    const hours = (value) => formatNumber(value, 1);
+
+    const createBar = (label, value, cls) => `
+        <div class="stacked-bar-section" role="img" aria-label="${escapeHTML(t('a11y.labour', { label: label, hours: hours(value) }))}">
+            <div class="stacked-bar-details">
+                <span class="stacked-bar-label">${label}:</span>
+                <span class="seg-detail"><span class="seg-dot ${cls}"></span>${hours(value)} <span class="unit-label">${t('labour.hoursPerYear')}</span></span>
+            </div>
+            <div class="stacked-bar-row">
+                <div class="stacked-bar-track">
+                    <div class="stacked-bar-wrapper" style="width: ${maxHours > 0 ? (value / maxHours) * 100 : 0}%">
+                        <div class="stacked-segment ${cls}" style="width: 100%"></div>
                     </div>
                 </div>
             </div>
-            <div class="stacked-bar-section">
+        </div>
+    `;
+
+    // Without an hourly rate the hours are shown but not costed
+    const savedCost = result.costs.curtainLabourAnnual - result.costs.silentiaLabourAnnual;
+    const saved = activeAssumptions.labour.hourlyRate > 0 ?
+        t('labour.saved', { hours: hours(labour.savedHours), cost: formatCurrency(savedCost) }) :
+        t('labour.savedUnpriced', { hours: hours(labour.savedHours) });
+    labourElement.innerHTML =
+        createBar(curtainTypeLabel(result.curtainType), labour.curtainHours, 'seg-labour-curtain') +
+        createBar('Silentia', labour.silentiaHours, 'seg-labour-silentia') +
+        `<p class="labour-saved">${saved}</p>`;
+}
+
+// NPV, IRR and both payback figures under the ROI calendar
+function displayFinance(result) {
+    const financeElement = document.getElementById('finance-output');
+    if (!result.valid) {
+        financeElement.innerHTML = '';
+        return;
+    }
+
+    const finance = result.finance;
+    const rows = [
+        [npvLabel(finance), formatCurrency(finance.npv)],
+        [t('finance.irr'), finance.irr === null ? t('roi.na') : formatPercent(finance.irr)],
+        [t('finance.simple'), formatPaybackYears(result.roi)],
+        [t('finance.discounted'), formatPaybackYears(finance.discountedPayback)]
+    ];
+    financeElement.innerHTML = rows.map(row =>
+        `<div class="finance-row"><dt>${row[0]}</dt><dd>${row[1]}</dd></div>`).join('');
+}
+
+function npvLabel(finance) {
+    return finance.discountRate ?
+        t('finance.npvAt', { rate: formatNumber(finance.discountRate, 2) }) : t('finance.npv');
+}
+
+// Per-line table, shown once the facility has more than one line
+function displayBreakdown(result = computeState()) {
+    const section = document.getElementById('breakdown-section');
+    section.hidden = result.lines.length < 2;
+    if (section.hidden) return;
+
+    const rows = result.lines.map(line => `
+        <tr>
+            <td>${escapeHTML(line.name)}</td>
+            <td>${curtainTypeLabel(line.curtainType)}, ${frequencyLabel(line.cleaningFrequency, line.scheduledCleanings).toLocaleLowerCase(currentLocale())}</td>
+            <td class="num">${formatNumber(line.quantity)}</td>
+            <td class="num">${formatCurrency(line.costs.annualSavings)}</td>
+            <td class="num">${formatPaybackYears(line.roi)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('breakdown-output').innerHTML = `
+        <table class="breakdown-table">
+            <thead>
+                <tr><th>${t('breakdown.line')}</th><th>${t('breakdown.curtains')}</th><th class="num">${t('quantity.short')}</th><th class="num">${t('breakdown.savedPerYear')}</th><th class="num">${t('breakdown.roi')}</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="2">${t('breakdown.total')}</td>
+                    <td class="num">${formatNumber(result.quantity)}</td>
+                    <td class="num">${formatCurrency(result.costs.annualSavings)}</td>
+                    <td class="num">${formatPaybackYears(result.roi)}</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+}
+
+// Compact break-even for tables: '2.9 yrs', 'N/A'
+function formatPaybackYears(roi) {
+    if (!roi.valid) return t('roi.na');
+    return t('payback.years', { years: formatNumber(roi.years, 1, 1) });
+}
+
+// ============================================
+// CUSTOMER REPORT
+// ============================================
+
+// Builds a print-ready copy of the current results, inputs and
+// assumptions. Charts are copied from the live page so the report always
+// matches what the customer was shown.
+function buildReport(result) {
+    const reportDate = new Date();
+    const dateStamp = reportDate.toLocaleDateString(currentLocale(), { day: 'numeric', month: 'long', year: 'numeric' });
+    const finance = result.finance;
+    const roi = result.roi;
+
+    const inputRows = result.lines.map(line => `
+        <tr>
+            <td>${escapeHTML(line.name || t('line.main'))}</td>
+            <td>${curtainTypeLabel(line.curtainType)}</td>
+            <td>${frequencyLabel(line.cleaningFrequency, line.scheduledCleanings)}</td>
+            <td class="num">${formatNumber(line.quantity)}</td>
+        </tr>
+    `).join('');
+
+    let assumptionRows = '';
+    let currentGroup = null;
+    ASSUMPTION_FIELDS.forEach(field => {
+        if (field.group !== currentGroup) {
+            assumptionRows += `<tr class="report-group"><th colspan="3">${t('group.' + field.group)}</th></tr>`;
+            currentGroup = field.group;
+        }
+        const value = Engine.readAssumption(activeAssumptions, field.path);
+        const changed = value !== Engine.readAssumption(Engine.DEFAULT_ASSUMPTIONS, field.path);
+        assumptionRows += `
+            <tr${changed ? ' class="report-changed"' : ''}>
+                <td>${t('field.' + field.path)}</td>
+                <td class="num">${field.options ? field.optionLabel(value) : toDisplayValue(field, value).toLocaleString(currentLocale(), { maximumFractionDigits: 6 })}</td>
+                <td>${fieldUnit(field)}${changed ? ' *' : ''}</td>
+            </tr>
+        `;
+    });
+
+    // Formula notes from the info popups, under their section headings
+    const explanations = Array.from(document.querySelectorAll('.calculator-container .info-popup')).map(popup => `
+        <div class="report-explanation">
+            <h3>${escapeHTML(popup.parentElement.firstChild.textContent.trim())}</h3>
+            ${popup.innerHTML}
+        </div>
+    `).join('');
+
+    const breakEven = roi.valid ?
+        `${formatPaybackYears(roi)} (${formatBreakEvenDate(breakEvenDate(roi.years, reportDate))})` : t('report.notReached');
+
+    return `
+        <div class="report-toolbar">
+            <button type="button" class="text-btn" id="report-print">${t('report.print')}</button>
+            <button type="button" class="text-btn" id="report-close">${t('report.back')}</button>
+        </div>
+
+        <header class="report-header">
+            <h1>${t('app.heading')}</h1>
+            <p>${t('report.subtitle')} &middot; ${dateStamp}${activePresetName ? ` &middot; ${t('report.preset', { name: escapeHTML(activePresetName) })}` : ''}</p>
+        </header>
+
+        <section class="report-section">
+            <h2>${t('roi.label')}</h2>
+            <dl class="report-figures">
+                <div><dt>${t('report.breakEven')}</dt><dd>${breakEven}</dd></div>
+                <div><dt>${t('finance.discounted')}</dt><dd>${formatPaybackYears(finance.discountedPayback)}</dd></div>
+                <div><dt>${t('report.annualSavings')}</dt><dd>${formatCurrency(result.costs.annualSavings)}</dd></div>
+                <div><dt>${t('report.lifespanSavings', { years: result.lifespanYears })}</dt><dd>${formatCurrency(result.costs.lifespanSavings)}</dd></div>
+                <div><dt>${npvLabel(finance)}</dt><dd>${formatCurrency(finance.npv)}</dd></div>
+                <div><dt>${t('finance.irr')}</dt><dd>${finance.irr === null ? t('roi.na') : formatPercent(finance.irr)}</dd></div>
+                <div><dt>${t('report.staffSaved')}</dt><dd>${t('report.hoursPerYear', { hours: formatNumber(result.labour.savedHours) })}</dd></div>
+                <div><dt>${t('report.carbonSaved', { years: result.lifespanYears })}</dt><dd>${formatMass(result.carbon.lifespanReduction)}</dd></div>
+            </dl>
+        </section>
+
+        <section class="report-section">
+            <h2>${t('report.costComparison')}</h2>
+            <div class="chart-container">${document.getElementById('chart-output').innerHTML}</div>
+        </section>
+
+        <section class="report-section report-page-break">
+            <h2>${t('report.resources')}</h2>
+            <div class="resources-display">${document.getElementById('resources-output').innerHTML}</div>
+            <div class="carbon-display">${document.getElementById('carbon-output').innerHTML}</div>
+            <h2>${t('report.staff')}</h2>
+            <div class="resources-display">${document.getElementById('labour-output').innerHTML}</div>
+        </section>
+
+        <section class="report-section">
+            <h2>${t('report.inputs')}</h2>
+            <table class="breakdown-table">
+                <thead><tr><th>${t('breakdown.line')}</th><th>${t('section.curtainType')}</th><th>${t('section.cleaning')}</th><th class="num">${t('report.quantity')}</th></tr></thead>
+                <tbody>${inputRows}</tbody>
+            </table>
+        </section>
+
+        <section class="report-section report-page-break">
+            <h2>${t('section.assumptions')}</h2>
+            <table class="breakdown-table report-assumptions">
+                <tbody>${assumptionRows}</tbody>
+            </table>
+            <p class="report-note">${t('report.changedNote')}</p>
+        </section>
+
+        <section class="report-section">
+            <h2>${t('report.howCalculated')}</h2>
+            ${explanations}
+        </section>
+    `;
+}
+
+function openReport() {
+    const result = computeState();
+    if (!result.valid) {
+        document.getElementById('quantity').focus();
+        return;
+    }
+    // Make sure the copied charts reflect the current state
+    displayResults(result);
+    displayChart(result);
+
+    const report = document.getElementById('report');
+    report.innerHTML = buildReport(result);
+    report.hidden = false;
+    document.body.classList.add('report-mode');
+    window.scrollTo(0, 0);
+
+    document.getElementById('report-print').addEventListener('click', () => window.print());
+    document.getElementById('report-close').addEventListener('click', closeReport);
+}
+
+function closeReport() {
+    const report = document.getElementById('report');
+    report.hidden = true;
+    report.innerHTML = '';
+    document.body.classList.remove('report-mode');
+}
+
+function initializeReport() {
+    document.getElementById('report-open').addEventListener('click', openReport);
+}
+
+// ============================================
+// SENSITIVITY
+// ============================================
+
+// How far each assumption is pushed either way, in percent
+let sensitivityPercent = 20;
+
+// Tornado metrics: what each variant is ranked on
+const SENSITIVITY_METRICS = {
+    payback: {
+        value: result => (result.valid && result.roi.valid && result.roi.years !== Engine.NO_BREAK_EVEN ? result.roi.years : null),
+        format: value => formatPaybackYears({ valid: value !== null, years: value })
+    },
+    carbon: {
+        value: result => (result.valid ? result.carbon.lifespanReduction : null),
+        format: value => (value === null ? t('roi.na') : formatMass(value))
+    }
+};
+
+// Assumptions copy with one figure scaled by `factor`
+function scaledAssumptions(path, factor) {
+    const assumptions = JSON.parse(JSON.stringify(activeAssumptions));
+    Engine.writeAssumption(assumptions, path, Engine.readAssumption(activeAssumptions, path) * factor);
+    return assumptions;
+}
+
+// Every cost and environmental figure moved down and up by the chosen
+// percentage, widest swing first. Figures that are zero can't move.
+function sensitivityBars(metric) {
+    const scenario = stateScenario();
+    const value = SENSITIVITY_METRICS[metric].value;
+    const change = sensitivityPercent / 100;
+    // No break-even counts as the widest possible swing. A finite sentinel
+    // rather than Infinity, so two such bars compare equal (Infinity -
+    // Infinity is NaN) and keep their panel order.
+    const swing = bar => (bar.low === null || bar.high === null ? Number.MAX_VALUE : Math.abs(bar.high - bar.low));
+
+    return ASSUMPTION_FIELDS
+        .filter(field => (field.group === 'costs' || field.group === 'environment') &&
+            Engine.readAssumption(activeAssumptions, field.path) !== 0)
+        .map(field => ({
+            field: field,
+            low: value(Engine.compute(scenario, scaledAssumptions(field.path, 1 - change))),
+            high: value(Engine.compute(scenario, scaledAssumptions(field.path, 1 + change)))
+        }))
+        .sort((a, b) => swing(b) - swing(a));
+}
+
+// Horizontal bars either side of the current result, one row per assumption
+function displayTornado(result) {
+    const container = document.getElementById('tornado-output');
+    const metric = document.getElementById('sensitivity-metric').value;
+    const format = SENSITIVITY_METRICS[metric].format;
+    const base = SENSITIVITY_METRICS[metric].value(result);
+    const bars = sensitivityBars(metric);
+
+    const finite = [base].concat(...bars.map(bar => [bar.low, bar.high])).filter(value => value !== null);
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    // Missing values (no break-even) run to the far edge
+    const position = value => (value === null ? 100 : max > min ? ((value - min) / (max - min)) * 100 : 50);
+    const basePosition = position(base);
+    const bar = (value, cls) => {
+        const left = Math.min(basePosition, position(value));
+        const width = Math.abs(position(value) - basePosition);
+        return `<div class="tornado-bar ${cls}" style="left: ${left}%; width: ${width}%"></div>`;
+    };
+
+    const lower = t('sensitivity.lower', { percent: sensitivityPercent });
+    const higher = t('sensitivity.higher', { percent: sensitivityPercent });
+    container.innerHTML = `
+        <p class="sensitivity-base">${t('sensitivity.base', { value: format(base) })}</p>
+        ${bars.map(row => `
+            <div class="tornado-row" title="${lower}: ${format(row.low)}, ${higher}: ${format(row.high)}">
                 <div class="stacked-bar-details">
-                    <span class="stacked-bar-label">Silentia:</span>
-                    <span class="seg-detail"><span class="seg-dot seg-wipes"></span>${resources.silentiaWipes} <span class="unit-label">kg wipes</span></span>
-                    <span class="seg-detail"><span class="seg-dot seg-disinfectant"></span>${resources.silentiaDisinfectant} <span class="unit-label">L disinfectant</span></span>
+                    <span class="tornado-label">${t('field.' + row.field.path)}</span>
+                    <span class="tornado-values">${format(row.low)} / ${format(row.high)}</span>
                 </div>
-                <div class="stacked-bar-row">
-                    <div class="stacked-bar-track">
-                        <div class="stacked-bar-wrapper" style="width: ${silentiaBarWidth}%">
-                            <div class="stacked-segment seg-wipes" style="width: ${silentiaWipesPct}%"></div>
-                            <div class="stacked-segment seg-disinfectant" style="width: ${silentiaDisinfPct}%"></div>
-                        </div>
-                    </div>
+                <div class="tornado-track">
+                    ${bar(row.low, 'low')}
+                    ${bar(row.high, 'high')}
+                    <div class="tornado-base" style="left: ${basePosition}%"></div>
                 </div>
             </div>
-        `;
+        `).join('')}
+        <div class="chart-legend">
+            <div class="chart-legend-item"><div class="chart-legend-color tornado-low"></div><span>${lower}</span></div>
+            <div class="chart-legend-item"><div class="chart-legend-color tornado-high"></div><span>${higher}</span></div>
+        </div>
+    `;
+}
+
+// Axes offered for the payback grid. `values` lists the cells around the
+// current inputs; `apply` sets one value on copies of state and assumptions.
+function gridVariables() {
+    const change = sensitivityPercent / 100;
+    const steps = [1 - change, 1 - change / 2, 1, 1 + change / 2, 1 + change];
+    const unique = values => values.filter((value, i) => values.indexOf(value) === i);
+
+    const variables = [
+        {
+            id: 'frequency',
+            label: t('section.cleaning'),
+            values: FREQUENCY_OPTIONS,
+            format: frequencyLabel,
+            apply: (source, assumptions, value) => { source.cleaningFrequency = value; }
+        },
+        {
+            id: 'quantity',
+            label: t('report.quantity'),
+            values: unique(steps.map(step => Math.max(1, Math.round(state.quantity * step)))),
+            format: value => formatNumber(value),
+            apply: (source, assumptions, value) => { source.quantity = value; }
+        }
+    ];
+
+    ASSUMPTION_FIELDS.filter(field => field.group === 'costs').forEach(field => {
+        const current = Engine.readAssumption(activeAssumptions, field.path);
+        variables.push({
+            id: field.path,
+            label: t('field.' + field.path),
+            values: unique(steps.map(step => current * step)),
+            format: value => formatCurrency(value, 2),
+            apply: (source, assumptions, value) => Engine.writeAssumption(assumptions, field.path, value)
+        });
+    });
+    return variables;
+}
+
+// Payback for every combination of two variables
+function displaySensitivityGrid() {
+    const variables = gridVariables();
+    const rowSelect = document.getElementById('grid-rows');
+    const columnSelect = document.getElementById('grid-columns');
+
+    // Keep the chosen axes when the options are rebuilt
+    [rowSelect, columnSelect].forEach(select => {
+        const selected = select.value || select.dataset.default;
+        select.innerHTML = variables.map(variable =>
+            `<option value="${variable.id}">${variable.label}</option>`).join('');
+        select.value = selected;
+    });
+    const rows = variables.find(variable => variable.id === rowSelect.value);
+    const columns = variables.find(variable => variable.id === columnSelect.value);
+
+    const payback = (rowValue, columnValue) => {
+        const source = JSON.parse(JSON.stringify(state));
+        const assumptions = JSON.parse(JSON.stringify(activeAssumptions));
+        rows.apply(source, assumptions, rowValue);
+        columns.apply(source, assumptions, columnValue);
+        return SENSITIVITY_METRICS.payback.value(Engine.compute(stateScenario(source), assumptions));
+    };
+    // Shade cells by payback band
+    const band = years => (years === null ? 'none' : years < 1 ? 1 : years < 3 ? 2 : years < 5 ? 3 : years <= SILENTIA_LIFESPAN_YEARS ? 4 : 5);
+
+    const current = variable => (variable.id === 'frequency' ? state.cleaningFrequency :
+        variable.id === 'quantity' ? state.quantity : Engine.readAssumption(activeAssumptions, variable.id));
+
+    const body = rows.values.map(rowValue => `
+        <tr>
+            <th>${rows.format(rowValue)}</th>
+            ${columns.values.map(columnValue => {
+                const years = payback(rowValue, columnValue);
+                const isCurrent = rowValue === current(rows) && columnValue === current(columns);
+                return `<td class="num grid-band-${band(years)}${isCurrent ? ' grid-current' : ''}">${SENSITIVITY_METRICS.payback.format(years)}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    document.getElementById('grid-output').innerHTML = rows === columns ? '' : `
+        <div class="compare-scroll">
+            <table class="breakdown-table sensitivity-grid">
+                <thead><tr><th>${rows.label} &darr; ${columns.label} &rarr;</th>${columns.values.map(value => `<th class="num">${columns.format(value)}</th>`).join('')}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function displaySensitivity(result = computeState()) {
+    const panel = document.getElementById('sensitivity-panel');
+    if (!panel.open) return;
+    if (!result.valid) {
+        document.getElementById('tornado-output').innerHTML = `<p>${t('results.empty')}</p>`;
+        document.getElementById('grid-output').innerHTML = '';
+        return;
     }
+    displayTornado(result);
+    displaySensitivityGrid();
+}
 
-    resourcesElement.innerHTML = chartHTML;
+function initializeSensitivity() {
+    const percentInput = document.getElementById('sensitivity-percent');
+    percentInput.value = sensitivityPercent;
+    percentInput.addEventListener('input', function() {
+        const value = parseFloat(this.value);
+        const valid = Number.isFinite(value) && value > 0 && value < 100;
+        this.classList.toggle('invalid', !valid);
+        if (!valid) return;
+        sensitivityPercent = value;
+        displaySensitivity();
+    });
+
+    ['sensitivity-metric', 'grid-rows', 'grid-columns'].forEach(id =>
+        document.getElementById(id).addEventListener('change', () => displaySensitivity()));
+    // Only calculated while the panel is open
+    document.getElementById('sensitivity-panel').addEventListener('toggle', () => displaySensitivity());
 }
 
 // ============================================
-// LIVE UPDATE
+// SCENARIO COMPARISON
 // ============================================
 
-function update() {
-    if (state.quantity > 0) {
-        displayResults();
-        displayChart();
+// Keys in the offline store
+const SCENARIOS_STORE_KEY = 'scenarios';
+const NOTES_STORE_KEY = 'notes';
+
+// Saved snapshots of the calculator:
+// [{ name, curtainType, cleaningFrequency, quantity, wards, assumptions, notes }]
+let savedScenarios = [];
+
+// Rows of the comparison table. `value` ranks the scenarios and `best`
+// says whether the lowest or highest value wins.
+const COMPARISON_ROWS = [
+    { key: 'report.breakEven', value: r => (r.roi.valid ? r.roi.years : Infinity), format: r => formatPaybackYears(r.roi), best: 'min' },
+    { key: 'finance.discounted', value: r => (r.finance.discountedPayback.valid ? r.finance.discountedPayback.years : Infinity), format: r => formatPaybackYears(r.finance.discountedPayback), best: 'min' },
+    { key: 'report.annualSavings', value: r => r.costs.annualSavings, format: r => formatCurrency(r.costs.annualSavings), best: 'max' },
+    { key: 'compare.silentiaTotal', value: r => r.costs.silentiaTotal, format: r => formatCurrency(r.costs.silentiaTotal), best: 'min' },
+    { key: 'compare.curtainTotal', value: r => r.costs.curtainTotal, format: r => formatCurrency(r.costs.curtainTotal), best: 'min' },
+    { key: 'report.lifespanSavings', value: r => r.costs.lifespanSavings, format: r => formatCurrency(r.costs.lifespanSavings), best: 'max' },
+    { key: 'compare.energySaved', value: r => r.resources.savedKWh, format: r => formatNumber(r.resources.savedKWh) + ' ' + t('unit.kWh'), best: 'max' },
+    { key: 'compare.waterSaved', value: r => r.resources.savedWater, format: r => formatNumber(r.resources.savedWater) + ' ' + t('unit.liters'), best: 'max' },
+    { key: 'compare.plasticSaved', value: r => r.resources.savedPlastic, format: r => formatNumber(r.resources.savedPlastic) + ' ' + t('unit.kg'), best: 'max' },
+    { key: 'report.carbonSaved', value: r => r.carbon.lifespanReduction, format: r => formatMass(r.carbon.lifespanReduction), best: 'max' }
+];
+
+// Drops anything in the store that isn't a usable scenario
+function validScenarios(scenarios) {
+    return Array.isArray(scenarios) ? scenarios.filter(scenario =>
+        scenario && typeof scenario.name === 'string' && Array.isArray(scenario.wards)) : [];
+}
+
+// Copy of the current inputs and assumptions, so later edits don't leak in
+function snapshotScenario(name) {
+    return JSON.parse(JSON.stringify({
+        name: name,
+        curtainType: state.curtainType,
+        cleaningFrequency: state.cleaningFrequency,
+        cleaningsPerYear: state.cleaningsPerYear,
+        infectionControl: state.infectionControl,
+        quantity: state.quantity,
+        wards: state.wards,
+        assumptions: activeAssumptions,
+        notes: document.getElementById('scenario-notes').value.trim()
+    }));
+}
+
+function computeScenario(scenario) {
+    return Engine.compute(stateScenario(scenario), Engine.resolveAssumptions(scenario.assumptions));
+}
+
+// 'Textile, weekly · 24', or the line count for mixed fleets
+function describeScenario(scenario, result) {
+    const quantity = `${formatNumber(result.quantity)} ${t('compare.units')}`;
+    if (scenario.wards.length) return `${curtainTypeLabel(result.curtainType)} &middot; ${quantity}`;
+    const frequency = frequencyLabel(scenario.cleaningFrequency, lineCleanings(scenario, scenario.customCleanings));
+    return `${curtainTypeLabel(scenario.curtainType)}, ${frequency.toLocaleLowerCase(currentLocale())} &middot; ${quantity}`;
+}
+
+function renderComparison() {
+    const container = document.getElementById('compare-output');
+    const results = savedScenarios.map(computeScenario);
+
+    if (!savedScenarios.length) {
+        container.innerHTML = `<p class="compare-empty">${t('compare.empty')}</p>`;
+        return;
+    }
+
+    const header = savedScenarios.map((scenario, index) => `
+        <th class="num" data-index="${index}">
+            <span class="compare-name">${escapeHTML(scenario.name)}</span>
+            <span class="compare-description">${describeScenario(scenario, results[index])}</span>
+            <span class="compare-actions">
+                <button type="button" class="text-btn compare-load">${t('compare.load')}</button>
+                <button type="button" class="ward-remove compare-remove" aria-label="${escapeHTML(t('wards.remove', { name: scenario.name }))}">&times;</button>
+            </span>
+        </th>
+    `).join('');
+
+    // Only highlight when there is something to choose between
+    const rows = COMPARISON_ROWS.map(row => {
+        const values = results.map(result => (result.valid ? row.value(result) : null));
+        const ranked = values.filter(value => value !== null && Number.isFinite(value));
+        const bestValue = row.best === 'min' ? Math.min(...ranked) : Math.max(...ranked);
+        const distinct = new Set(ranked).size > 1;
+
+        const cells = results.map((result, index) => {
+            if (!result.valid) return '<td class="num">--</td>';
+            const best = distinct && values[index] === bestValue;
+            return `<td class="num${best ? ' compare-best' : ''}">${row.format(result)}</td>`;
+        }).join('');
+        return `<tr><th>${t(row.key, { years: SILENTIA_LIFESPAN_YEARS })}</th>${cells}</tr>`;
+    }).join('');
+
+    const notes = savedScenarios.some(scenario => scenario.notes) ? `
+        <tr class="compare-notes">
+            <th>${t('compare.notes')}</th>
+            ${savedScenarios.map(scenario => `<td>${escapeHTML(scenario.notes || '')}</td>`).join('')}
+        </tr>
+    ` : '';
+
+    container.innerHTML = `
+        <div class="compare-scroll">
+            <table class="breakdown-table compare-table">
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>${rows}${notes}</tbody>
+            </table>
+        </div>
+        <p class="compare-note">${t('compare.bestNote')}</p>
+    `;
+}
+
+function saveScenarios() {
+    Store.set(SCENARIOS_STORE_KEY, savedScenarios);
+    renderComparison();
+}
+
+// Puts a saved scenario back into the calculator
+function loadScenario(scenario) {
+    state.curtainType = scenario.curtainType;
+    state.cleaningFrequency = scenario.cleaningFrequency;
+    state.cleaningsPerYear = lineCleanings(scenario, scenario.customCleanings);
+    state.infectionControl = scenario.infectionControl === true;
+    state.quantity = scenario.quantity;
+    state.wards = scenario.wards.map(ward => Object.assign({}, ward, {
+        cleaningsPerYear: lineCleanings(ward, scenario.customCleanings),
+        infectionControl: ward.infectionControl === true
+    }));
+    activeAssumptions = Engine.resolveAssumptions(scenario.assumptions);
+    activePresetName = '';
+    setNotes(scenario.notes || '');
+    syncControls();
+    renderWardLines();
+    syncAssumptionsPanel();
+    update();
+}
+
+// Notes for the scenario being worked on; the draft is kept in the store
+// so it survives a reload or an offline restart
+let notesTimer = null;
+
+function setNotes(text) {
+    document.getElementById('scenario-notes').value = text;
+    Store.set(NOTES_STORE_KEY, text);
+}
+
+function initializeComparison() {
+    const nameInput = document.getElementById('compare-name');
+    const notesInput = document.getElementById('scenario-notes');
+
+    // Anything saved while the store was still opening goes after the rest
+    Store.get(SCENARIOS_STORE_KEY, []).then(stored => {
+        savedScenarios = validScenarios(stored).concat(savedScenarios);
+        renderComparison();
+    });
+    Store.get(NOTES_STORE_KEY, '').then(text => {
+        if (typeof text === 'string' && !notesInput.value) notesInput.value = text;
+    });
+
+    notesInput.addEventListener('input', function() {
+        clearTimeout(notesTimer);
+        notesTimer = setTimeout(() => Store.set(NOTES_STORE_KEY, notesInput.value), 500);
+    });
+
+    document.getElementById('compare-save').addEventListener('click', function() {
+        if (!computeState().valid) {
+            document.getElementById('quantity').focus();
+            return;
+        }
+        const name = nameInput.value.trim() ||
+            t('compare.defaultName', { number: savedScenarios.length + 1 });
+        savedScenarios.push(snapshotScenario(name));
+        nameInput.value = '';
+        saveScenarios();
+    });
+
+    document.getElementById('compare-output').addEventListener('click', function(e) {
+        const column = e.target.closest('[data-index]');
+        if (!column) return;
+        const index = Number(column.dataset.index);
+        if (e.target.closest('.compare-load')) {
+            loadScenario(savedScenarios[index]);
+        } else if (e.target.closest('.compare-remove')) {
+            savedScenarios.splice(index, 1);
+            saveScenarios();
+        }
+    });
+
+    renderComparison();
+}
+
+// ============================================
+// INVENTORY IMPORT
+// ============================================
+
+// Facility inventories from CSV or JSON: one row per site and ward with
+// curtain type, count and cleaning frequency. Every row is run through
+// the engine, then each site and the whole group as mixed fleets.
+
+// Accepted column names, compared without case, spaces or punctuation
+const INVENTORY_COLUMNS = {
+    site: 'site',
+    hospital: 'site',
+    ward: 'ward',
+    department: 'ward',
+    curtaintype: 'curtainType',
+    type: 'curtainType',
+    count: 'quantity',
+    quantity: 'quantity',
+    qty: 'quantity',
+    cleaningfrequency: 'cleaningFrequency',
+    frequency: 'cleaningFrequency',
+    cleaning: 'cleaningFrequency'
+};
+
+// Imported rows plus the rows that were skipped: { rows, errors }
+let inventory = { rows: [], errors: [] };
+
+function inventoryColumn(name) {
+    return INVENTORY_COLUMNS[String(name).toLowerCase().replace(/[^a-z]/g, '')];
+}
+
+// Accepts the option key or its label in any supported language
+function matchOption(value, options, prefix) {
+    const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    return options.find(option => option === text || Object.keys(I18n.LANGUAGES).some(language =>
+        I18n.translate(language, prefix + option).toLowerCase() === text)) || null;
+}
+
+// Semicolon-separated files are what Excel writes in Swedish and German
+// locales; told apart by the header line
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+// The delimiter Excel expects where the decimal separator is a comma
+function localeDelimiter() {
+    return (1.5).toLocaleString(currentLocale()).includes(',') ? ';' : ',';
+}
+
+// Splits CSV text into rows of fields, handling quoted fields
+function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Reads an inventory file into valid rows and per-row errors, plus the
+// delimiter of a CSV file so exports match it. Throws if the file itself
+// can't be parsed.
+function parseInventory(text, format) {
+    let records;
+    let delimiter = null;
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        records = Array.isArray(data) ? data : data && data.rows;
+        if (!Array.isArray(records)) throw new Error('Expected an array of rows');
+        records = records.map(record => {
+            const fields = {};
+            Object.keys(record && typeof record === 'object' ? record : {}).forEach(key => {
+                if (inventoryColumn(key)) fields[inventoryColumn(key)] = record[key];
+            });
+            return fields;
+        });
+    } else {
+        text = text.replace(/^\uFEFF/, '');
+        delimiter = detectDelimiter(text);
+        const table = parseCSV(text, delimiter).filter(fields => fields.some(f => f.trim()));
+        const header = (table.shift() || []).map(inventoryColumn);
+        records = table.map(values => {
+            const fields = {};
+            header.forEach((column, i) => {
+                if (column) fields[column] = values[i];
+            });
+            return fields;
+        });
+    }
+
+    const rows = [];
+    const errors = [];
+    const clean = (value) => String(value === undefined || value === null ? '' : value).trim();
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+        const site = clean(record.site).slice(0, 60);
+        const curtainType = matchOption(record.curtainType, CURTAIN_TYPES, 'type.');
+        const cleaningFrequency = matchOption(record.cleaningFrequency, SCHEDULED_FREQUENCIES, 'frequency.');
+        const quantity = clean(record.quantity) === '' ? null : parseQuantity(clean(record.quantity));
+
+        if (!site) errors.push({ row, reason: 'site', value: '' });
+        else if (!curtainType) errors.push({ row, reason: 'type', value: clean(record.curtainType) });
+        else if (!cleaningFrequency) errors.push({ row, reason: 'frequency', value: clean(record.cleaningFrequency) });
+        else if (quantity === null) errors.push({ row, reason: 'count', value: clean(record.quantity) });
+        else rows.push({ site, ward: clean(record.ward).slice(0, 40), curtainType, cleaningFrequency, quantity });
+    });
+    return { rows, errors, delimiter };
+}
+
+// Export-friendly figures from an engine result, money in euros
+function summarizeResult(result) {
+    if (!result.valid) {
+        return {
+            quantity: result.quantity, breakEvenYears: null, annualSavings: 0, silentiaTotal: 0, curtainTotal: 0,
+            lifespanSavings: 0, savedKWh: 0, savedWater: 0, savedPlastic: 0, carbonSavedKg: 0
+        };
+    }
+    return {
+        quantity: result.quantity,
+        breakEvenYears: result.roi.valid && result.roi.years !== Engine.NO_BREAK_EVEN ? result.roi.years : null,
+        annualSavings: result.costs.annualSavings,
+        silentiaTotal: result.costs.silentiaTotal,
+        curtainTotal: result.costs.curtainTotal,
+        lifespanSavings: result.costs.lifespanSavings,
+        savedKWh: result.resources.savedKWh,
+        savedWater: result.resources.savedWater,
+        savedPlastic: result.resources.savedPlastic,
+        carbonSavedKg: result.carbon.lifespanReduction
+    };
+}
+
+// Per-row, per-site and group figures for the imported rows. Inventories
+// don't say which wards isolate, so every row is costed as a general ward.
+function inventoryResults(rows) {
+    const lines = (subset) => ({
+        lines: subset.map(row => ({
+            name: row.ward,
+            curtainType: row.curtainType,
+            cleaningFrequency: row.cleaningFrequency,
+            quantity: row.quantity
+        }))
+    });
+    const siteNames = rows.map(row => row.site).filter((site, i, all) => all.indexOf(site) === i);
+
+    return {
+        details: rows.map(row => Object.assign({}, row,
+            summarizeResult(Engine.compute(lines([row]), activeAssumptions)))),
+        sites: siteNames.map(site => Object.assign({ site },
+            summarizeResult(Engine.compute(lines(rows.filter(row => row.site === site)), activeAssumptions)))),
+        total: summarizeResult(Engine.compute(lines(rows), activeAssumptions))
+    };
+}
+
+function renderInventory() {
+    const container = document.getElementById('inventory-output');
+    const status = document.getElementById('inventory-status');
+    document.getElementById('inventory-export').hidden = !inventory.rows.length;
+
+    // File-level problems have no row number
+    const messages = inventory.errors.map(error => {
+        const reason = t('inventory.error.' + error.reason, { value: escapeHTML(error.value) });
+        return error.row ? t('inventory.error.line', { row: error.row, reason }) : reason;
+    });
+    status.innerHTML = (inventory.rows.length ?
+        `<li class="inventory-imported">${t('inventory.imported', { rows: inventory.rows.length, skipped: inventory.errors.length })}</li>` : '') +
+        messages.map(message => `<li>${message}</li>`).join('');
+
+    if (!inventory.rows.length) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const results = inventoryResults(inventory.rows);
+    const cells = (figures) => `
+        <td class="num">${formatNumber(figures.quantity)}</td>
+        <td class="num">${formatCurrency(figures.annualSavings)}</td>
+        <td class="num">${formatPaybackYears({ valid: figures.breakEvenYears !== null, years: figures.breakEvenYears })}</td>
+        <td class="num">${formatMass(figures.carbonSavedKg)}</td>
+    `;
+
+    container.innerHTML = `
+        <div class="compare-scroll">
+            <table class="breakdown-table">
+                <thead>
+                    <tr><th>${t('inventory.site')}</th><th class="num">${t('quantity.short')}</th><th class="num">${t('breakdown.savedPerYear')}</th><th class="num">${t('breakdown.roi')}</th><th class="num">${t('inventory.carbon')}</th></tr>
+                </thead>
+                <tbody>${results.sites.map(site => `<tr><td>${escapeHTML(site.site)}</td>${cells(site)}</tr>`).join('')}</tbody>
+                <tfoot><tr><td>${t('inventory.total')}</td>${cells(results.total)}</tr></tfoot>
+            </table>
+        </div>
+    `;
+}
+
+// Flat records for export: every row, then each site, then the group.
+// Money is converted to the display currency.
+function inventoryExportRecords() {
+    const results = inventoryResults(inventory.rows);
+    const rate = exchangeRate();
+    const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    const record = (level, figures) => ({
+        level: level,
+        site: figures.site || '',
+        ward: figures.ward || '',
+        curtain_type: figures.curtainType || '',
+        cleaning_frequency: figures.cleaningFrequency || '',
+        quantity: figures.quantity,
+        break_even_years: round(figures.breakEvenYears, 2),
+        annual_savings: round(figures.annualSavings * rate, 2),
+        silentia_total: round(figures.silentiaTotal * rate, 2),
+        curtain_total: round(figures.curtainTotal * rate, 2),
+        lifespan_savings: round(figures.lifespanSavings * rate, 2),
+        saved_kwh_per_year: round(figures.savedKWh, 1),
+        saved_water_l_per_year: round(figures.savedWater, 1),
+        saved_plastic_kg_per_year: round(figures.savedPlastic, 1),
+        co2e_saved_kg: round(figures.carbonSavedKg, 1),
+        currency: settings.currency
+    });
+
+    return results.details.map(row => record('row', row))
+        .concat(results.sites.map(site => record('site', site)))
+        .concat([record('group', results.total)]);
+}
+
+// Same delimiter as the imported file, else the one the display locale's
+// Excel expects. Text that Excel would run as a formula (a site named
+// '=HYPERLINK(...)') is prefixed with an apostrophe; numbers are left as is.
+function inventoryCSV() {
+    const records = inventoryExportRecords();
+    const columns = Object.keys(records[0]);
+    const delimiter = inventory.delimiter || localeDelimiter();
+    const field = (value) => {
+        let text = value === null ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    return [columns.join(delimiter)].concat(records.map(record =>
+        columns.map(column => field(record[column])).join(delimiter))).join('\r\n');
+}
+
+function inventoryJSON() {
+    const records = inventoryExportRecords();
+    return JSON.stringify({
+        generated: new Date().toISOString(),
+        currency: settings.currency,
+        exchangeRate: exchangeRate(),
+        lifespanYears: SILENTIA_LIFESPAN_YEARS,
+        assumptionsPreset: activePresetName || null,
+        rows: records.filter(record => record.level === 'row'),
+        sites: records.filter(record => record.level === 'site'),
+        total: records.find(record => record.level === 'group')
+    }, null, 2);
+}
+
+function downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function initializeInventory() {
+    const fileInput = document.getElementById('inventory-file');
+    const fileName = (extension) => `silentia-inventory-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    document.getElementById('inventory-import').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        this.value = '';
+        if (!file) return;
+        const format = /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+        file.text().then(text => {
+            inventory = parseInventory(text, format);
+            if (!inventory.rows.length && !inventory.errors.length) {
+                inventory.errors.push({ row: 0, reason: 'empty', value: '' });
+            }
+        }).catch(() => {
+            inventory = { rows: [], errors: [{ row: 0, reason: 'file', value: file.name }] };
+        }).then(renderInventory);
+    });
+
+    // BOM so Excel opens the UTF-8 file with å, ä, ö intact
+    document.getElementById('inventory-csv').addEventListener('click', () =>
+        downloadFile(fileName('csv'), 'text/csv;charset=utf-8', '\uFEFF' + inventoryCSV()));
+    document.getElementById('inventory-json').addEventListener('click', () =>
+        downloadFile(fileName('json'), 'application/json', inventoryJSON()));
+
+    document.getElementById('inventory-clear').addEventListener('click', function() {
+        inventory = { rows: [], errors: [] };
+        renderInventory();
+    });
+
+    renderInventory();
+}
+
+// ============================================
+// EMBEDDING
+// ============================================
+
+// On a partner page (see silentia-widget.js) the calculator runs in an
+// iframe with embed=1. It hides the sections named in `hide` and posts to
+// the host page once loaded and after every update:
+//   { source: 'silentia-calculator', type: 'ready' | 'change', state, result, ... }
+//   { source: 'silentia-calculator', type: 'resize', height }
+// The host may send back
+//   { source: 'silentia-widget', type: 'configure', curtainType,
+//     cleaningFrequency, quantity, currency, language }
+// with any subset of those fields.
+
+const EMBED_MESSAGE_SOURCE = 'silentia-calculator';
+const WIDGET_MESSAGE_SOURCE = 'silentia-widget';
+
+// Target origin for messages to the host page; null when not embedded
+let embedOrigin = null;
+
+function postToHost(type, data) {
+    if (!embedOrigin) return;
+    window.parent.postMessage(Object.assign({ source: EMBED_MESSAGE_SOURCE, type: type }, data), embedOrigin);
+}
+
+// Inputs and headline figures, enough for a partner to follow up a lead.
+// Result figures are in euros; multiply by exchangeRate for `currency`.
+function embedPayload(result) {
+    return {
+        state: JSON.parse(JSON.stringify(state)),
+        language: settings.language,
+        currency: settings.currency,
+        exchangeRate: exchangeRate(),
+        valid: result.valid,
+        result: summarizeResult(result),
+        link: shareURL()
+    };
+}
+
+// Applies a configure message from the host; invalid fields are ignored
+function applyEmbedConfig(config) {
+    if (CURTAIN_TYPES.includes(config.curtainType)) state.curtainType = config.curtainType;
+    if (FREQUENCY_OPTIONS.includes(config.cleaningFrequency)) state.cleaningFrequency = config.cleaningFrequency;
+    if (config.quantity !== undefined && parseQuantity(config.quantity) !== null) {
+        state.quantity = parseQuantity(config.quantity);
+    }
+    applySettings({ language: config.language, currency: config.currency });
+    syncControls();
+    refreshSettings();
+}
+
+function initializeEmbed(params) {
+    if (params.get('embed') !== '1' || window.parent === window) return;
+
+    document.body.classList.add('embedded');
+    const hidden = (params.get('hide') || '').split(',').map(name => name.trim());
+    document.querySelectorAll('[data-section]').forEach(section =>
+        section.classList.toggle('embed-hidden', hidden.includes(section.dataset.section)));
+
+    // Only the page that created the widget hears about the results. Without
+    // a valid origin the calculator still shows, but talks to no one: any
+    // page could frame it and read the rep's figures.
+    const origin = params.get('origin');
+    try {
+        if (origin && new URL(origin).origin === origin) embedOrigin = origin;
+    } catch (e) {
+        // Not a valid origin
     }
+    if (!embedOrigin) return;
+
+    window.addEventListener('message', function(e) {
+        if (e.source !== window.parent || e.origin !== embedOrigin) return;
+        if (!e.data || e.data.source !== WIDGET_MESSAGE_SOURCE) return;
+        if (e.data.type === 'configure') applyEmbedConfig(e.data);
+    });
+
+    // Lets the widget size its iframe to the content, so nothing scrolls twice
+    const postHeight = () => postToHost('resize', { height: document.documentElement.scrollHeight });
+    if (window.ResizeObserver) new ResizeObserver(postHeight).observe(document.body);
+    postHeight();
+
+    postToHost('ready', embedPayload(computeState()));
 }
 
 // ============================================
-// INITIALIZATION
+// OFFLINE SUPPORT
 // ============================================
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', function() {
-    initializeToggles();
+// service-worker.js caches the app for offline use. A new release waits
+// until the user reloads onto it from the prompt, so nobody loses a visit
+// mid-sentence; the scenario survives in the address bar.
+function initializeOffline() {
+    const status = document.getElementById('offline-status');
+    const showStatus = () => { status.hidden = navigator.onLine !== false; };
+    window.addEventListener('online', showStatus);
+    window.addEventListener('offline', showStatus);
+    showStatus();
+
+    // Service workers need https (or localhost)
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    const updatePrompt = document.getElementById('update-prompt');
+    let waiting = null;
+    let reloading = false;
+
+    // Saves the notes draft first, then lets the new worker take over. If
+    // another tab already did, the new version is live and a reload is enough.
+    document.getElementById('update-reload').addEventListener('click', function() {
+        if (reloading) return;
+        reloading = true;
+        clearTimeout(notesTimer);
+        const activate = () => {
+            if (waiting.state === 'installed') waiting.postMessage({ type: 'skip-waiting' });
+            else window.location.reload();
+        };
+        Store.set(NOTES_STORE_KEY, document.getElementById('scenario-notes').value).then(activate, activate);
+    });
 
-    // Info popup handlers
+    // Only the page that asked reloads; other tabs keep their prompt
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (reloading) window.location.reload();
+    });
+
+    const offerUpdate = worker => {
+        waiting = worker;
+        updatePrompt.hidden = false;
+    };
+
+    navigator.serviceWorker.register('service-worker.js').then(registration => {
+        // The first worker has no older version to replace
+        if (!navigator.serviceWorker.controller) return;
+        if (registration.waiting) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', function() {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', function() {
+                if (worker.state === 'installed') offerUpdate(worker);
+            });
+        });
+    }).catch(() => {
+        // Blocked or unsupported; the calculator still works online
+    });
+}
+
+// ============================================
+// INFO POPUPS
+// ============================================
+
+// Each info icon is a button that shows and hides its popup. Escape
+// closes an open popup and returns focus to the icon that opened it.
+function setPopup(icon, open) {
+    document.getElementById(icon.dataset.popup).classList.toggle('active', open);
+    icon.setAttribute('aria-expanded', String(open));
+}
+
+function closePopups() {
+    let focused = null;
+    document.querySelectorAll('.info-icon').forEach(icon => {
+        if (icon.getAttribute('aria-expanded') === 'true') focused = icon;
+        setPopup(icon, false);
+    });
+    return focused;
+}
+
+function initializeInfoPopups() {
     document.querySelectorAll('.info-icon').forEach(icon => {
         icon.addEventListener('click', function(e) {
             e.stopPropagation();
-            const popupId = this.dataset.popup;
-            const popup = document.getElementById(popupId);
+            const open = this.getAttribute('aria-expanded') !== 'true';
             // Close all other popups
-            document.querySelectorAll('.info-popup').forEach(p => {
-                if (p !== popup) p.classList.remove('active');
-            });
-            popup.classList.toggle('active');
+            closePopups();
+            setPopup(this, open);
         });
     });
 
     // Close popups when clicking outside
-    document.addEventListener('click', function() {
-        document.querySelectorAll('.info-popup').forEach(p => p.classList.remove('active'));
+    document.addEventListener('click', closePopups);
+
+    document.addEventListener('keydown', function(e) {
+        if (e.key !== 'Escape') return;
+        const icon = closePopups();
+        if (icon) icon.focus();
     });
+}
+
+// ============================================
+// LIVE UPDATE
+// ============================================
 
+// Screen readers hear the headline figures once typing pauses rather
+// than on every keystroke
+const ANNOUNCE_DELAY_MS = 1000;
+let announceTimer = null;
+
+function announceResults(result) {
+    clearTimeout(announceTimer);
+    if (!result.valid) return;
+
+    announceTimer = setTimeout(() => {
+        const roi = state.paybackMode === 'discounted' ? result.finance.discountedPayback : result.roi;
+        const roiText = roi.valid && roi.years !== Engine.NO_BREAK_EVEN ?
+            `${document.getElementById('roi-years').textContent} ${document.querySelector('.label').textContent.toLocaleLowerCase(currentLocale())}` :
+            t('chart.noBreakEven', { years: SILENTIA_LIFESPAN_YEARS });
+        const resources = result.resources;
+        document.getElementById('results-announcement').textContent = [
+            t('a11y.announce', { roi: roiText, savings: formatCurrency(result.costs.annualSavings) }),
+            t('a11y.announceResources', {
+                energy: formatNumber(resources.savedKWh),
+                water: formatNumber(resources.savedWater),
+                plastic: formatNumber(resources.savedPlastic)
+            })
+        ].join(' ');
+    }, ANNOUNCE_DELAY_MS);
+}
+
+function update() {
+    writeShareURL();
+    displayInfectionNote();
+    const result = computeState();
+    if (result.valid) {
+        displayResults(result);
+        displayBreakdown(result);
+        displayChart(result);
+        displaySensitivity(result);
+    }
+    announceResults(result);
+    postToHost('change', embedPayload(result));
+    // Imported inventories follow assumption changes
+    if (inventory.rows.length) renderInventory();
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+// Initialize on page load (skipped when the file is loaded outside a browser)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', function() {
+    // Read before any update() rewrites the address bar
+    const sharedParams = new URLSearchParams(window.location.search);
+
+    initializeSettings(sharedParams);
+    initializeToggles();
+    initializeWards();
+    initializeAssumptions();
+    initializeShareLinks(sharedParams);
+    initializeReport();
+    initializeSensitivity();
+    initializeComparison();
+    initializeInventory();
+    initializeEmbed(sharedParams);
+    initializeOffline();
+    initializeInfoPopups();
+    update();
 });
@@ -0,0 +1,91 @@
+// ============================================
+// SILENTIA CALCULATOR SERVICE WORKER
+// ============================================
+// Precaches the whole app so it runs offline, e.g. in hospital basements.
+// Files come from the network whenever it answers, so a release (prices
+// in calculator-engine.js included) reaches every device without touching
+// this file; the cache is only the offline copy.
+
+// Change only when the cache layout itself changes
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'silentia-calculator-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// How long a weak connection gets before the offline copy is served
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Everything the page loads. Cached without query strings, so the
+// stylesheet's ?v= in calculator.html needs no copy here.
+const APP_FILES = [
+    'calculator.html',
+    'calculator-style.css',
+    'calculator-engine.js',
+    'calculator-i18n.js',
+    'calculator-store.js',
+    'calculator.js',
+    'silentia-widget.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// The cache key for a request: share links and ?v= all map to one copy
+function cacheKey(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    return url.toString();
+}
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never stores stale files
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_FILES.map(file => new Request(file, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key)))));
+});
+
+// Sent by a page once the user chose to reload onto the new version
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+// Network first, refreshing the offline copy; the cache answers when the
+// network fails or is too slow. Other origins are left alone.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Any address that opened the page, e.g. the folder itself, falls
+    // back to the cached calculator.html offline
+    const fallback = cache => cache.match(cacheKey(request))
+        .then(cached => cached || (request.mode === 'navigate' ? cache.match('calculator.html') : undefined));
+
+    const offline = () => caches.open(CACHE_NAME).then(fallback);
+
+    // A late answer still refreshes the offline copy. Cloned here, before
+    // the page can start reading the body.
+    const network = fetch(request);
+    event.waitUntil(network
+        .then(response => {
+            if (!response.ok) return undefined;
+            const copy = response.clone();
+            return caches.open(CACHE_NAME).then(cache => cache.put(cacheKey(request), copy));
+        })
+        .catch(() => {
+            // Offline; the cached copy stays as it is
+        }));
+
+    // Past the timeout the cached copy answers; without one, keep waiting
+    const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS))
+        .then(offline)
+        .then(cached => cached || network);
+
+    event.respondWith(Promise.race([network, slow])
+        .catch(() => offline().then(cached => cached || Response.error())));
+});
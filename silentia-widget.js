@@ -0,0 +1,139 @@
+// ============================================
+// SILENTIA CALCULATOR WIDGET
+// ============================================
+// Embeds the calculator on a partner site as a custom element:
+//
+//   <script src="https://example.com/silentia/silentia-widget.js"></script>
+//   <silentia-calculator type="disposable" frequency="monthly" quantity="24"
+//       currency="SEK" hide="compare,inventory"></silentia-calculator>
+//
+// The calculator runs in an iframe next to this script (or at `src`).
+// Its messages are re-dispatched on the element as DOM events:
+//   silentia-ready  - loaded, with the initial state and results
+//   silentia-change - after every change; event.detail holds
+//                     { state, language, currency, exchangeRate, valid, result, link }
+// Changing type, frequency, quantity, currency or language later updates
+// the running calculator without reloading it.
+
+(function() {
+    'use strict';
+
+    if (typeof window === 'undefined' || !window.customElements) return;
+
+    const ELEMENT_NAME = 'silentia-calculator';
+    const EMBED_MESSAGE_SOURCE = 'silentia-calculator';
+    const WIDGET_MESSAGE_SOURCE = 'silentia-widget';
+
+    // Where the calculator lives unless the element says otherwise
+    const DEFAULT_SRC = new URL('calculator.html',
+        document.currentScript ? document.currentScript.src : window.location.href).toString();
+
+    // Element attributes and the calculator's query parameters
+    const PARAMS = {
+        type: 'type',
+        frequency: 'freq',
+        quantity: 'qty',
+        currency: 'cur',
+        language: 'lang',
+        hide: 'hide'
+    };
+
+    // Attributes the running calculator can take without reloading,
+    // with their field in a configure message
+    const LIVE_ATTRIBUTES = {
+        type: 'curtainType',
+        frequency: 'cleaningFrequency',
+        quantity: 'quantity',
+        currency: 'currency',
+        language: 'language'
+    };
+
+    class SilentiaCalculatorElement extends HTMLElement {
+        static get observedAttributes() {
+            return Object.keys(PARAMS).concat('src');
+        }
+
+        constructor() {
+            super();
+            this.state = null;
+            this.result = null;
+            this.onMessage = this.onMessage.bind(this);
+        }
+
+        connectedCallback() {
+            if (!this.shadowRoot) {
+                this.attachShadow({ mode: 'open' }).innerHTML = `
+                    <style>
+                        :host { display: block; }
+                        iframe { display: block; width: 100%; height: 900px; border: 0; }
+                    </style>
+                    <iframe title="Silentia calculator" loading="lazy"></iframe>
+                `;
+            }
+            this.frame = this.shadowRoot.querySelector('iframe');
+            window.addEventListener('message', this.onMessage);
+            this.load();
+        }
+
+        disconnectedCallback() {
+            window.removeEventListener('message', this.onMessage);
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.frame || oldValue === newValue) return;
+            if (LIVE_ATTRIBUTES[name] && this.state) {
+                this.send({ type: 'configure', [LIVE_ATTRIBUTES[name]]: newValue });
+            } else {
+                this.load();
+            }
+        }
+
+        // Points the iframe at the calculator with the element's settings
+        load() {
+            const url = new URL(this.getAttribute('src') || DEFAULT_SRC, window.location.href);
+            Object.keys(PARAMS).forEach(name => {
+                if (this.hasAttribute(name)) url.searchParams.set(PARAMS[name], this.getAttribute(name));
+            });
+            url.searchParams.set('embed', '1');
+            url.searchParams.set('origin', window.location.origin);
+            this.calculatorOrigin = url.origin;
+            this.state = null;
+            this.frame.src = url.toString();
+        }
+
+        send(message) {
+            if (!this.frame.contentWindow) return;
+            this.frame.contentWindow.postMessage(
+                Object.assign({ source: WIDGET_MESSAGE_SOURCE }, message), this.calculatorOrigin);
+        }
+
+        onMessage(e) {
+            if (!this.frame || e.source !== this.frame.contentWindow || e.origin !== this.calculatorOrigin) return;
+            const data = e.data;
+            if (!data || data.source !== EMBED_MESSAGE_SOURCE) return;
+
+            if (data.type === 'resize') {
+                this.frame.style.height = Math.ceil(data.height) + 'px';
+                return;
+            }
+            if (data.type !== 'ready' && data.type !== 'change') return;
+
+            this.state = data.state;
+            this.result = data.result;
+            const detail = {
+                state: data.state,
+                language: data.language,
+                currency: data.currency,
+                exchangeRate: data.exchangeRate,
+                valid: data.valid,
+                result: data.result,
+                link: data.link
+            };
+            this.dispatchEvent(new CustomEvent('silentia-' + data.type, { detail, bubbles: true, composed: true }));
+        }
+    }
+
+    if (!window.customElements.get(ELEMENT_NAME)) {
+        window.customElements.define(ELEMENT_NAME, SilentiaCalculatorElement);
+    }
+}());
@@ -0,0 +1,160 @@
+// ============================================
+// EDGE CASES
+// ============================================
+// Inputs and page states the calculator has to survive: odd quantities,
+// missing elements and scenarios where Silentia never pays back.
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { compute, resolveAssumptions } = require('../calculator-engine.js');
+const { loadCalculator, setQuantity, roiText } = require('./helpers/calculator-page.js');
+
+describe('engine edge cases', () => {
+    test('a tiny replacement interval breaks even without walking every purchase', () => {
+        const assumptions = resolveAssumptions({ lifespans: { disposableMonths: 0.00001 } });
+        const started = Date.now();
+        const result = compute({ curtainType: 'disposable', cleaningFrequency: 'quarterly', quantity: 10 }, assumptions);
+        assert.ok(Date.now() - started < 1000);
+        assert.equal(result.roi.valid, true);
+        assert.ok(result.roi.years < 0.001);
+    });
+
+    test('savings cheaper up front but lost every year never pay back', () => {
+        const assumptions = resolveAssumptions({ costs: { silentiaScreen: 500, silentiaCleaning: 100 } });
+        const finance = compute({ curtainType: 'textile', cleaningFrequency: 'quarterly', quantity: 10 }, assumptions).finance;
+        assert.ok(finance.cashFlows[0].savings > 0);
+        assert.ok(finance.cashFlows[1].savings < 0);
+        assert.equal(finance.discountedPayback.valid, false);
+        assert.equal(finance.irr, null);
+    });
+});
+
+describe('edge cases', () => {
+    let page;
+
+    afterEach(() => {
+        assert.deepEqual(page.errors, []);
+        page.window.close();
+    });
+
+    test('displayChart() without #chart-output does nothing', async () => {
+        page = await loadCalculator();
+        page.document.getElementById('chart-output').remove();
+        assert.doesNotThrow(() => page.window.displayChart());
+        // Typing a quantity still updates everything else
+        setQuantity(page, 10);
+        assert.deepEqual(roiText(page), ['3', 'YEARS']);
+    });
+
+    test('decimal quantities are truncated by parseInt', async () => {
+        page = await loadCalculator();
+        setQuantity(page, '2.7');
+        assert.equal(page.window.computeState().quantity, 2);
+        const truncated = roiText(page);
+        setQuantity(page, 2);
+        assert.deepEqual(roiText(page), truncated);
+    });
+
+    test('a negative quantity gives no result', async () => {
+        page = await loadCalculator();
+        setQuantity(page, '-5');
+        const result = page.window.computeState();
+        assert.equal(result.valid, false);
+        assert.equal(result.costs, null);
+        assert.deepEqual(roiText(page), ['--', 'YEAR']);
+    });
+
+    test('an empty quantity gives no result', async () => {
+        page = await loadCalculator();
+        setQuantity(page, '');
+        assert.equal(page.window.computeState().valid, false);
+        assert.match(page.document.getElementById('chart-output').textContent, /Enter quantity/);
+    });
+
+    test('negative annual savings show N/A', async () => {
+        // Silentia cleaning dearer than laundry, replacements and labour combined
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10&a.costs.silentiaCleaning=100');
+        const result = page.window.computeState();
+        assert.ok(result.costs.annualSavings < 0);
+        assert.equal(result.roi.valid, false);
+        assert.deepEqual(roiText(page), ['N/A', 'YEARS']);
+        assert.match(page.document.getElementById('chart-output').textContent, /No break-even within 10 years/);
+    });
+
+    test('cheaper up front but dearer to run shows N/A', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10' +
+            '&a.costs.silentiaScreen=500&a.costs.silentiaCleaning=100');
+        const result = page.window.computeState();
+        assert.ok(result.costs.initialDifference < 0);
+        assert.ok(result.costs.lifespanSavings < 0);
+        assert.equal(result.roi.valid, false);
+        assert.deepEqual(roiText(page), ['N/A', 'YEARS']);
+        assert.match(page.document.getElementById('chart-output').textContent, /No break-even within 10 years/);
+    });
+
+    test('tornado bars that never break even keep the panel order', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10&a.costs.silentiaCleaning=100');
+        const paths = Array.from(page.window.sensitivityBars('payback'), bar => bar.field.path);
+        const panel = Array.from(page.document.querySelectorAll('#assumptions-fields [data-path]'),
+            input => input.dataset.path).filter(path => paths.includes(path));
+        assert.deepEqual(paths, panel);
+    });
+
+    test('resetting the assumptions deselects the preset', async () => {
+        page = await loadCalculator();
+        page.document.getElementById('preset-name').value = 'Tender 2026';
+        page.document.getElementById('preset-save').click();
+        assert.equal(page.document.getElementById('preset-select').value, 'Tender 2026');
+        page.document.getElementById('assumptions-reset').click();
+        assert.equal(page.document.getElementById('preset-select').value, '');
+        assert.equal(page.document.getElementById('preset-name').value, '');
+    });
+
+    test('lines start as general wards, under one isolation label', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10&a.infectionControl.bedTurnover=4');
+        page.document.getElementById('ward-add').click();
+        const quantity = page.document.querySelector('.ward-line [data-field="quantity"]');
+        quantity.value = '5';
+        quantity.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        assert.deepEqual(Array.from(page.window.computeState().lines, line => line.cleaningsPerYear), [4, 4]);
+        const main = page.document.getElementById('infection-note');
+        const ward = page.document.querySelector('.ward-infection');
+        assert.equal(main.hidden, false);
+        assert.equal(main.textContent.trim(), ward.textContent.trim());
+        assert.equal(main.title, ward.title);
+
+        ward.querySelector('input').click();
+        assert.deepEqual(Array.from(page.window.computeState().lines, line => line.cleaningsPerYear), [4, 8]);
+        const params = new page.window.URLSearchParams(page.window.location.search);
+        assert.equal(params.has('iso'), false);
+        assert.match(params.get('ward'), /\|5\|iso$/);
+    });
+
+    test('saved scenarios follow a new exchange rate', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10&cur=SEK');
+        page.document.getElementById('compare-save').click();
+        const table = () => page.document.getElementById('compare-output').textContent;
+        const before = table();
+        const rate = page.document.getElementById('exchange-rate');
+        rate.value = String(Number(rate.value) * 2);
+        rate.dispatchEvent(new page.window.Event('input'));
+        assert.notEqual(table(), before);
+    });
+
+    test('labour bars describe themselves', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10');
+        const bars = Array.from(page.document.querySelectorAll('#labour-output [role="img"]'));
+        assert.equal(bars.length, 2);
+        assert.match(bars[1].getAttribute('aria-label'), /^Silentia: [\d.]+ staff hours per year$/);
+        assert.equal(page.document.querySelector('#labour-output .seg-energy, #labour-output .seg-water'), null);
+    });
+
+    test('zero annual savings show N/A', async () => {
+        // 48 a year to launder the curtain, 48 to clean the screen
+        page = await loadCalculator('?type=textile&freq=yearly&qty=1&a.costs.silentiaCleaning=48');
+        const result = page.window.computeState();
+        assert.equal(result.costs.annualSavings, 0);
+        assert.equal(result.roi.valid, false);
+        assert.deepEqual(roiText(page), ['N/A', 'YEARS']);
+    });
+});
@@ -0,0 +1,53 @@
+// ============================================
+// EMBEDDING
+// ============================================
+// The calculator in a partner's iframe: it must stay embedded across
+// reloads and only ever talk to the page named in `origin`.
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers/calculator-page.js');
+
+// Frames the page in a stand-in host that records what it is sent
+function spyOnParent(page) {
+    const posted = [];
+    const host = { postMessage: (data, origin) => posted.push({ type: data.type, origin }) };
+    Object.defineProperty(page.window, 'parent', { value: host });
+    return posted;
+}
+
+describe('embedding', () => {
+    test('the address bar keeps the embed parameters, shared links do not', async () => {
+        const page = await loadCalculator('?embed=1&origin=https%3A%2F%2Fpartner.example&hide=compare&qty=10');
+        page.document.getElementById('quantity').value = '12';
+        page.document.getElementById('quantity').dispatchEvent(new page.window.Event('input'));
+        const address = new page.window.URLSearchParams(page.window.location.search);
+        assert.equal(address.get('embed'), '1');
+        assert.equal(address.get('origin'), 'https://partner.example');
+        assert.equal(address.get('hide'), 'compare');
+        assert.equal(address.get('qty'), '12');
+        const shared = new page.window.URL(page.window.shareURL()).searchParams;
+        assert.equal(shared.has('embed') || shared.has('origin') || shared.has('hide'), false);
+        page.window.close();
+    });
+
+    test('messages go only to the named origin', async () => {
+        const page = await loadCalculator('?qty=10');
+        const posted = spyOnParent(page);
+        page.window.initializeEmbed(new page.window.URLSearchParams('?embed=1&origin=https%3A%2F%2Fpartner.example'));
+        assert.ok(posted.length > 0);
+        assert.ok(posted.every(message => message.origin === 'https://partner.example'));
+        page.window.close();
+    });
+
+    test('without a valid origin nothing is posted', async () => {
+        const page = await loadCalculator('?qty=10');
+        const posted = spyOnParent(page);
+        page.window.initializeEmbed(new page.window.URLSearchParams('?embed=1&origin=not-an-origin'));
+        page.document.getElementById('quantity').value = '12';
+        page.document.getElementById('quantity').dispatchEvent(new page.window.Event('input'));
+        assert.deepEqual(posted, []);
+        assert.ok(page.document.body.classList.contains('embedded'));
+        page.window.close();
+    });
+});
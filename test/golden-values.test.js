@@ -0,0 +1,111 @@
+// ============================================
+// GOLDEN VALUES
+// ============================================
+// Quoted figures for 10 curtains with the default assumptions, for every
+// curtain type and cleaning frequency. A change here means customers
+// would be quoted different numbers: update the table only on purpose.
+// With lifespans and labour costs off by default, these are the figures
+// the calculator quoted before either was modelled.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { compute, resolveAssumptions } = require('../calculator-engine.js');
+const { loadCalculator, setQuantity, roiText } = require('./helpers/calculator-page.js');
+
+const QUANTITY = 10;
+
+// [type, frequency, break-even years, annual savings, Silentia total,
+//  curtain total, lifespan savings, calendar figure, calendar unit]
+const GOLDEN = [
+    ['textile', 'yearly', 11.860465, 430, 13600, 12800, -800, '10+', 'YEARS'],
+    ['textile', 'quarterly', 2.965116, 1720, 15100, 27200, 12100, '3', 'YEARS'],
+    ['textile', 'monthly', 0.988372, 5160, 19100, 65600, 46500, '1', 'YEAR'],
+    ['textile', 'weekly', 0.228086, 22360, 39100, 257600, 218500, '3', 'MONTHS'],
+    ['textile', 'daily', 0.032494, 156950, 195600, 1760000, 1564400, '2', 'WEEKS'],
+    ['disposable', 'yearly', 0.877698, 6950, 13600, 77000, 63400, '11', 'MONTHS'],
+    ['disposable', 'quarterly', 0.219424, 27800, 15100, 287000, 271900, '3', 'MONTHS'],
+    ['disposable', 'monthly', 0.073141, 83400, 19100, 847000, 827900, '1', 'MONTH'],
+    ['disposable', 'weekly', 0.016879, 361400, 39100, 3647000, 3607900, '6', 'DAYS'],
+    ['disposable', 'daily', 0.002405, 2536750, 195600, 25557000, 25361400, '1', 'DAY']
+];
+
+// Money to the cent, break-even to within a minute
+const assertClose = (actual, expected, digits) =>
+    assert.equal(Number(actual.toFixed(digits)), expected);
+
+describe('engine golden values', () => {
+    GOLDEN.forEach(([curtainType, cleaningFrequency, years, annual, silentia, curtain, lifespan]) => {
+        test(`${curtainType}, ${cleaningFrequency}`, () => {
+            const result = compute({ curtainType, cleaningFrequency, quantity: QUANTITY });
+            assert.equal(result.valid, true);
+            assert.equal(result.roi.valid, true);
+            assertClose(result.roi.years, years, 6);
+            assertClose(result.costs.annualSavings, annual, 2);
+            assertClose(result.costs.silentiaTotal, silentia, 2);
+            assertClose(result.costs.curtainTotal, curtain, 2);
+            assertClose(result.costs.lifespanSavings, lifespan, 2);
+        });
+    });
+
+    test('custom frequency matches the named schedule with the same count', () => {
+        const weekly = compute({ curtainType: 'textile', cleaningFrequency: 'weekly', quantity: QUANTITY });
+        const custom = compute({ curtainType: 'textile', cleaningFrequency: 'custom', cleaningsPerYear: 52, quantity: QUANTITY });
+        assert.deepEqual(custom.costs, weekly.costs);
+        assert.deepEqual(custom.roi, weekly.roi);
+    });
+
+    test('infection control cleanings come on top of the schedule', () => {
+        const assumptions = resolveAssumptions({
+            infectionControl: { bedTurnover: 4, outbreaksPerYear: 2, cleaningsPerOutbreak: 3 }
+        });
+        const result = compute({ curtainType: 'textile', cleaningFrequency: 'quarterly', infectionControl: true, quantity: QUANTITY }, assumptions);
+        assert.equal(result.lines[0].cleaningsPerYear, 14);
+        assertClose(result.roi.years, 0.847176, 6);
+        assertClose(result.costs.annualSavings, 6020, 2);
+    });
+});
+
+describe('infection control per line', () => {
+    const assumptions = resolveAssumptions({
+        lifespans: { disposableMonths: 6 },
+        infectionControl: { bedTurnover: 4, outbreaksPerYear: 0, cleaningsPerOutbreak: 0 }
+    });
+
+    test('only lines marked for infection control get the extra cleanings', () => {
+        const result = compute({
+            lines: [
+                { name: 'General', curtainType: 'textile', cleaningFrequency: 'quarterly', quantity: QUANTITY },
+                { name: 'Isolation', curtainType: 'textile', cleaningFrequency: 'quarterly', infectionControl: true, quantity: QUANTITY }
+            ]
+        }, assumptions);
+        assert.deepEqual(result.lines.map(line => line.cleaningsPerYear), [4, 8]);
+    });
+
+    test('disposables on their own interval are also replaced at every extra change', () => {
+        const plain = compute({ curtainType: 'disposable', cleaningFrequency: 'quarterly', quantity: QUANTITY }, assumptions);
+        const isolation = compute({ curtainType: 'disposable', cleaningFrequency: 'quarterly', infectionControl: true, quantity: QUANTITY }, assumptions);
+        // Twice a year on schedule, plus four discharge changes
+        assert.equal(isolation.resources.plasticWaste, QUANTITY * 2 * (2 + 4));
+        assert.equal(isolation.costs.curtainOperatingAnnual - plain.costs.curtainOperatingAnnual, QUANTITY * 700 * 4);
+        assert.equal(isolation.lines[0].replacementIntervalYears, plain.lines[0].replacementIntervalYears);
+    });
+});
+
+describe('calendar golden values', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCalculator();
+        setQuantity(page, QUANTITY);
+    });
+
+    after(() => page.window.close());
+
+    GOLDEN.forEach(([curtainType, cleaningFrequency, , , , , , figure, unit]) => {
+        test(`${curtainType}, ${cleaningFrequency} shows ${figure} ${unit}`, () => {
+            page.document.querySelector(`[data-type="${curtainType}"]`).click();
+            page.document.querySelector(`[data-frequency="${cleaningFrequency}"]`).click();
+            assert.deepEqual(roiText(page), [figure, unit]);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+// ============================================
+// HEADLESS CALCULATOR PAGE
+// ============================================
+// Loads calculator.html into jsdom and runs its scripts the way a browser
+// would, so tests can drive the real page without one.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Opens the calculator and waits for its DOMContentLoaded setup.
+ *
+ * @param {string} [query] - Query string, e.g. '?type=textile&qty=10'
+ * @returns {Promise<{window: Window, document: Document, errors: Array<Error>}>}
+ */
+function loadCalculator(query = '') {
+    const html = fs.readFileSync(path.join(ROOT, 'calculator.html'), 'utf8');
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/calculator.html' + query,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const errors = [];
+    window.addEventListener('error', e => errors.push(e.error || e.message));
+
+    // Drop any cache-busting suffix, e.g. calculator.js?v=3
+    window.document.querySelectorAll('script[src]').forEach(script => {
+        const file = script.getAttribute('src').split('?')[0];
+        window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    });
+
+    // Registered after the page's own handler, so it runs once setup is
+    // done; the next task also sees saved scenarios and notes loaded
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => setTimeout(() =>
+            resolve({ window, document: window.document, errors })));
+    });
+}
+
+// Types a value into the quantity field
+function setQuantity(page, value) {
+    const input = page.document.getElementById('quantity');
+    input.value = String(value);
+    input.dispatchEvent(new page.window.Event('input'));
+}
+
+// The big ROI figure and the unit under it, e.g. ['2.5', 'YEARS']
+function roiText(page) {
+    return [
+        page.document.getElementById('roi-years').textContent,
+        page.document.querySelector('.roi-value-inside .label').textContent
+    ];
+}
+
+module.exports = {
+    loadCalculator,
+    setQuantity,
+    roiText
+};
@@ -0,0 +1,74 @@
+// ============================================
+// INVENTORY EXPORT
+// ============================================
+// Exports must open safely in Excel: no formulas from imported text, and
+// the same delimiter the imported file used.
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers/calculator-page.js');
+
+// Imports CSV text through the file input, as if picked by the user
+async function importCSV(page, text) {
+    const input = page.document.getElementById('inventory-file');
+    const file = { name: 'inventory.csv', type: 'text/csv', text: () => Promise.resolve(text) };
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    input.dispatchEvent(new page.window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve));
+}
+
+describe('inventory export', () => {
+    let page;
+
+    afterEach(() => {
+        assert.deepEqual(page.errors, []);
+        page.window.close();
+    });
+
+    test('text that looks like a formula is escaped', async () => {
+        page = await loadCalculator();
+        await importCSV(page, 'site,ward,curtain type,count,cleaning frequency\n' +
+            '=SUM(A1:A9),@ICU,textile,10,weekly\n');
+        const row = page.window.inventoryCSV().split('\r\n')[1].split(',');
+        assert.equal(row[1], "'=SUM(A1:A9)");
+        assert.equal(row[2], "'@ICU");
+    });
+
+    test('rows are costed as general wards', async () => {
+        page = await loadCalculator('?a.infectionControl.bedTurnover=4&qty=1');
+        await importCSV(page, 'site,ward,curtain type,count,cleaning frequency\nSolna,ICU,textile,10,yearly\n');
+        const plain = await loadCalculator();
+        await importCSV(plain, 'site,ward,curtain type,count,cleaning frequency\nSolna,ICU,textile,10,yearly\n');
+        assert.equal(page.window.inventoryCSV(), plain.window.inventoryCSV());
+        plain.window.close();
+    });
+
+    test('counts are grouped for the display locale', async () => {
+        page = await loadCalculator('?lang=de');
+        await importCSV(page, 'site;ward;curtain type;count;cleaning frequency\nSolna;ICU;textile;1500;weekly\n');
+        const cells = Array.from(page.document.querySelectorAll('#inventory-output td.num'), cell => cell.textContent);
+        assert.ok(cells.includes('1.500'));
+    });
+
+    test('negative figures stay numbers', async () => {
+        page = await loadCalculator();
+        await importCSV(page, 'site,ward,curtain type,count,cleaning frequency\nSolna,ICU,textile,10,yearly\n');
+        const lines = page.window.inventoryCSV().split('\r\n');
+        const columns = lines[0].split(',');
+        const row = lines[1].split(',');
+        assert.equal(row[columns.indexOf('lifespan_savings')], '-800');
+    });
+
+    test('a semicolon file is exported with semicolons', async () => {
+        page = await loadCalculator();
+        await importCSV(page, 'site;ward;curtain type;count;cleaning frequency\nSolna;ICU;textile;10;weekly\n');
+        const lines = page.window.inventoryCSV().split('\r\n');
+        assert.match(lines[0], /^level;site;ward;/);
+        assert.match(lines[1], /^row;Solna;ICU;textile;weekly;10;/);
+    });
+
+    test('without an imported file the display locale picks the delimiter', async () => {
+        page = await loadCalculator('?lang=de');
+        assert.match(page.window.inventoryCSV().split('\r\n')[0], /^level;site;/);
+    });
+});
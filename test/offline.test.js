@@ -0,0 +1,63 @@
+// ============================================
+// OFFLINE UPDATES
+// ============================================
+// A new release must never reload the page under someone's hands: it
+// waits for the user to choose to reload.
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers/calculator-page.js');
+
+// Stands in for navigator.serviceWorker with a registration that may have
+// a new version waiting
+function fakeServiceWorker(page, { controlled, waiting }) {
+    const container = new page.window.EventTarget();
+    const registration = new page.window.EventTarget();
+    registration.waiting = waiting || null;
+    container.controller = controlled ? {} : null;
+    container.register = () => Promise.resolve(registration);
+    Object.defineProperty(page.window.navigator, 'serviceWorker', { value: container });
+    Object.defineProperty(page.window, 'isSecureContext', { value: true });
+    page.window.initializeOffline();
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+function waitingWorker() {
+    return { state: 'installed', messages: [], postMessage(data) { this.messages.push(data); } };
+}
+
+describe('offline updates', () => {
+    let page;
+
+    afterEach(() => {
+        assert.deepEqual(page.errors, []);
+        page.window.close();
+    });
+
+    test('the first install offers no reload', async () => {
+        page = await loadCalculator();
+        await fakeServiceWorker(page, { controlled: false, waiting: waitingWorker() });
+        assert.equal(page.document.getElementById('update-prompt').hidden, true);
+    });
+
+    test('a waiting version is offered, not forced', async () => {
+        page = await loadCalculator();
+        const worker = waitingWorker();
+        await fakeServiceWorker(page, { controlled: true, waiting: worker });
+        assert.equal(page.document.getElementById('update-prompt').hidden, false);
+        assert.deepEqual(worker.messages, []);
+    });
+
+    test('reloading saves the notes draft before the new version takes over', async () => {
+        page = await loadCalculator();
+        const worker = waitingWorker();
+        await fakeServiceWorker(page, { controlled: true, waiting: worker });
+        const notes = page.document.getElementById('scenario-notes');
+        notes.value = 'Call back Tuesday';
+        notes.dispatchEvent(new page.window.Event('input'));
+        page.document.getElementById('update-reload').click();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(worker.messages.map(message => message.type), ['skip-waiting']);
+        assert.equal(await page.window.SilentiaStore.get('notes', ''), 'Call back Tuesday');
+    });
+});
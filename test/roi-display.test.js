@@ -0,0 +1,90 @@
+// ============================================
+// ROI DISPLAY
+// ============================================
+// The calendar shows break-even in days, weeks, months or years depending
+// on how soon it falls; these tests pin every threshold.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator, setQuantity, roiText } = require('./helpers/calculator-page.js');
+
+describe('ROI units', () => {
+    let page;
+
+    before(async () => {
+        page = await loadCalculator();
+        setQuantity(page, 10);
+    });
+
+    after(() => page.window.close());
+
+    // Renders a real result with its break-even replaced by `roi`
+    const show = (roi) => {
+        const result = page.window.computeState();
+        result.roi = roi;
+        page.window.displayResults(result);
+        return roiText(page);
+    };
+
+    const year = 1;
+    const month = 1 / 12;
+    const week = 1 / 52;
+    const day = 1 / 365;
+
+    [
+        // Under a week: days, never fewer than one
+        [0, '1', 'DAY'],
+        [0.2 * day, '1', 'DAY'],
+        [1 * day, '1', 'DAY'],
+        [3 * day, '3', 'DAYS'],
+        [week - 1e-9, '7', 'DAYS'],
+        // A week up to a month: weeks
+        [week, '1', 'WEEK'],
+        [2 * week, '2', 'WEEKS'],
+        [3.49 * week, '3', 'WEEKS'],
+        // Rounding up to 4 weeks switches to months
+        [3.5 * week, '1', 'MONTH'],
+        [month - 1e-9, '1', 'MONTH'],
+        // A month up to a year: months
+        [month, '1', 'MONTH'],
+        [6 * month, '6', 'MONTHS'],
+        [11.49 * month, '11', 'MONTHS'],
+        // Rounding up to 12 months shows as a year
+        [11.5 * month, '1', 'YEAR'],
+        [year, '1', 'YEAR'],
+        // Years, to one decimal without a trailing .0
+        [1.04, '1', 'YEAR'],
+        [1.05, '1.1', 'YEARS'],
+        [2, '2', 'YEARS'],
+        [2.25, '2.3', 'YEARS'],
+        [9.96, '10', 'YEARS'],
+        [10, '10', 'YEARS'],
+        // Beyond the Silentia lifespan
+        [10.0001, '10+', 'YEARS'],
+        [25, '10+', 'YEARS']
+    ].forEach(([years, figure, unit]) => {
+        test(`${years} years shows ${figure} ${unit}`, () => {
+            assert.deepEqual(show({ years, valid: true }), [figure, unit]);
+        });
+    });
+
+    test('no break-even shows N/A', () => {
+        assert.deepEqual(show({ years: page.window.SilentiaEngine.NO_BREAK_EVEN, valid: false }), ['N/A', 'YEARS']);
+    });
+
+    test('an invalid result shows --', () => {
+        assert.deepEqual(show({ years: 0, valid: false }), ['--', 'YEAR']);
+    });
+});
+
+describe('ROI units in other languages', () => {
+    test('Swedish plural forms', async () => {
+        const page = await loadCalculator('?lang=sv');
+        setQuantity(page, 10);
+        const result = page.window.computeState();
+        result.roi = { years: 3 / 52, valid: true };
+        page.window.displayResults(result);
+        assert.deepEqual(roiText(page), ['3', 'VECKOR']);
+        page.window.close();
+    });
+});
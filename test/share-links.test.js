@@ -0,0 +1,79 @@
+// ============================================
+// SHARE LINKS
+// ============================================
+// Scenarios round-trip through the query string; tampered parameters
+// must fall back to the defaults instead of reaching the engine.
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCalculator } = require('./helpers/calculator-page.js');
+
+const assumptionInput = (page, path) =>
+    page.document.getElementById('assumption-' + path.replace(/\./g, '-'));
+
+describe('share links', () => {
+    let page;
+
+    afterEach(() => {
+        assert.deepEqual(page.errors, []);
+        page.window.close();
+    });
+
+    test('out-of-range assumptions keep their defaults', async () => {
+        page = await loadCalculator('?qty=10&type=disposable' +
+            '&a.lifespans.disposableMonths=0.00001&a.labour.minutesPerCurtainChange=1e9' +
+            '&a.costs.silentiaScreen=-1&a.lifespans.textileYears=0.5');
+        ['lifespans.disposableMonths', 'labour.minutesPerCurtainChange', 'costs.silentiaScreen', 'lifespans.textileYears']
+            .forEach(path => assert.equal(assumptionInput(page, path).classList.contains('changed'), false, path));
+        assert.equal(page.window.computeState().roi.valid, true);
+    });
+
+    test('in-range assumptions and switched-off limits are applied', async () => {
+        page = await loadCalculator('?qty=10&type=disposable&a.lifespans.disposableMonths=6&a.lifespans.textileYears=0');
+        assert.equal(assumptionInput(page, 'lifespans.disposableMonths').value, '6');
+        assert.equal(page.window.computeState().lines[0].replacementIntervalYears, 0.5);
+    });
+
+    test('each custom ward keeps its own cleanings per year', async () => {
+        page = await loadCalculator('?type=textile&freq=custom&cpy=12&qty=10' +
+            '&ward=ICU|textile|custom:40|4&ward=Isolation|disposable|custom:100|2');
+        const lines = page.window.computeState().lines;
+        assert.deepEqual(Array.from(lines, line => line.scheduledCleanings), [12, 40, 100]);
+        const params = new page.window.URLSearchParams(page.window.location.search);
+        assert.deepEqual(params.getAll('ward'), ['ICU|textile|custom:40|4', 'Isolation|disposable|custom:100|2']);
+        assert.equal(params.get('cpy'), '12');
+    });
+
+    test('older links share cpy between custom wards', async () => {
+        page = await loadCalculator('?type=textile&freq=weekly&cpy=30&qty=10&ward=ICU|textile|custom|4');
+        assert.deepEqual(Array.from(page.window.computeState().lines, line => line.scheduledCleanings), [52, 30]);
+    });
+
+    test('older infection-control links skip over invalid wards', async () => {
+        page = await loadCalculator('?type=textile&freq=quarterly&qty=10&a.infectionControl.bedTurnover=4' +
+            '&ward=Broken|velvet|weekly|4&ward=General|textile|quarterly|4&ward=Isolation|textile|quarterly|4&icoff=0,2');
+        assert.deepEqual(Array.from(page.window.computeState().lines, line => line.infectionControl), [false, false, true]);
+        const params = new page.window.URLSearchParams(page.window.location.search);
+        assert.deepEqual(params.getAll('ward'), ['General|textile|quarterly|4', 'Isolation|textile|quarterly|4|iso']);
+        assert.equal(params.has('icoff'), false);
+    });
+
+    test('reloading the address bar keeps the selected preset', async () => {
+        page = await loadCalculator();
+        const input = assumptionInput(page, 'costs.textileCleaning');
+        input.value = '60';
+        input.dispatchEvent(new page.window.Event('input'));
+        page.document.getElementById('preset-name').value = 'Tender 2026';
+        page.document.getElementById('preset-save').click();
+
+        // What a reload does with the URL the page wrote
+        page.window.applyShareParams(new page.window.URLSearchParams(page.window.location.search));
+        page.window.syncAssumptionsPanel();
+        assert.equal(page.document.getElementById('preset-select').value, 'Tender 2026');
+
+        // A link with other figures is not the preset any more
+        page.window.applyShareParams(new page.window.URLSearchParams('?qty=10&a.costs.textileCleaning=70'));
+        page.window.syncAssumptionsPanel();
+        assert.equal(page.document.getElementById('preset-select').value, '');
+    });
+});